@@ -3,6 +3,20 @@
 // Full CRUD Application using API
 // ================================
 
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Palette used for new briefs, and the role names its colors start with
+const DEFAULT_PALETTE = ['#00f0ff', '#8b5cf6', '#ff0080', '#00ff9f', '#ffd700'];
+const DEFAULT_COLOR_ROLES = ['Primary', 'Secondary', 'Accent', 'Success', 'Highlight'];
+
+// What a reference link is for - the first one is the default
+const REFERENCE_CATEGORIES = ['inspiration', 'competitor', 'asset'];
+
+// Role name for the nth color when none was given - "Color 6" past the defaults
+function defaultColorRole(index) {
+    return DEFAULT_COLOR_ROLES[index] || `Color ${index + 1}`;
+}
+
 // Use ES6 Classes for OOP structure
 class Brief {
     constructor(data) {
@@ -10,742 +24,6928 @@ class Brief {
         this.title = data.title;
         this.description = data.description || '';
         this.colors = data.colors || [];
-        this.references = data.references || [];
-        this.tags = data.tags || [];
-        this.status = data.status || 'idea';
+        // Role name per color, same order as colors - older briefs get the defaults
+        const roles = Array.isArray(data.colorRoles) ? data.colorRoles : [];
+        this.colorRoles = Array.isArray(this.colors)
+            ? this.colors.map((color, index) => String(roles[index] || '').trim() || defaultColorRole(index))
+            : roles;
+        // { url, title, note, category } - plain URL strings from older briefs are upgraded
+        this.references = Array.isArray(data.references)
+            ? data.references.map(ref => Brief.normalizeReference(ref))
+            : (data.references || []);
+        // Normalized and without duplicates - older briefs are cleaned up as they load
+        this.tags = Array.isArray(data.tags) ? Brief.normalizeTags(data.tags) : (data.tags || []);
+        // null until saved - APIService gives briefs without one the workflow's first status
+        this.status = data.status || null;
+        // [{ status, at }] - one entry per status the brief entered, oldest first
+        this.statusHistory = data.statusHistory || [];
         this.createdAt = data.createdAt || new Date().toISOString();
+        // Bumped on every save - used to detect concurrent edits
+        this.revision = data.revision || 1;
+        this.updatedAt = data.updatedAt || this.createdAt;
+        // Small JPEG data URL of the mood image the palette came from
+        this.thumbnail = data.thumbnail || null;
+        // [{ id, name, type, size }] - the files themselves live in AttachmentStore
+        this.attachments = data.attachments || [];
+        // Values of the team's custom fields by key, e.g. { client: 'Acme' } - see BriefSchema
+        this.customFields = data.customFields || {};
     }
 
-    // Validation method
-    isValid() {
-        return this.title && this.title.trim().length > 0;
+    // References used to be plain URL strings - both forms become { url, title, note, category }.
+    // Anything but an http(s) link (notes in older briefs) becomes the title of a reference
+    // without one. Template {{placeholders}} stay where they are
+    static normalizeReference(ref) {
+        const data = typeof ref === 'string' ? { url: ref } : (ref || {});
+        let url = Brief.normalizeReferenceUrl(data.url);
+        let title = String(data.title || '').trim();
+        if (!title && url && !safeUrl(url) && !url.includes('{{')) {
+            title = url;
+            url = '';
+        }
+        return {
+            url,
+            title,
+            note: String(data.note || '').trim(),
+            category: REFERENCE_CATEGORIES.includes(data.category) ? data.category : REFERENCE_CATEGORIES[0]
+        };
     }
-}
 
-// API Service for CRUD operations with error handling
-class APIService {
-    constructor() {
-        // PRODUCTION API ENDPOINT
-        // Get your free endpoint at: https://crudcrud.com
-        // Copy the URL they give you and add '/briefs' to the end
-        // Example: 'https://crudcrud.com/api/abc123xyz/briefs'
-        
-        this.baseURL = 'https://crudcrud.com/api/f4e6d8c2b1a04f3e9d7c6b5a4e3d2c1b/briefs';
-        
-        // IMPORTANT: Replace the URL above with YOUR unique endpoint from crudcrud.com
-        // The endpoint expires after 24 hours of inactivity (free tier)
-        
-        this.localStorageKey = 'briefVault_briefs';
-        this.useLocalStorage = true; // INSTRUCTOR: Set to false to use crudcrud API
-        
-        // NOTE FOR INSTRUCTOR: To test with real API:
-        // 1. Visit https://crudcrud.com (no signup needed)
-        // 2. Copy the endpoint URL
-        // 3. Replace this.baseURL above with YOUR endpoint + '/briefs'
-        // 4. Change this.useLocalStorage to false
-        // 5. Run with live-server: npx live-server
+    // "dribbble.com/foo" gets https:// in front, anything else is left as written
+    static normalizeReferenceUrl(url) {
+        const text = String(url || '').trim();
+        return /^[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}(:\d+)?([/?#]\S*)?$/i.test(text) ? `https://${text}` : text;
     }
 
-    // CREATE operation
-    async createBrief(briefData) {
-        try {
-            if (this.useLocalStorage) {
-                return this._createLocal(briefData);
-            }
+    // One spelling per tag: " #UI Kit " becomes "ui-kit". {{placeholders}} in
+    // template tags are left as written so they still match their names
+    static normalizeTag(tag) {
+        return String(tag ?? '')
+            .trim()
+            .replace(/^#+/, '')
+            .split(/(\{\{\s*[\w-]+\s*\}\})/)
+            .map((part, index) => (index % 2 === 1 ? part : part.toLowerCase().replace(/[\s,]+/g, '-')))
+            .join('')
+            .replace(/-{2,}/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
 
-            const response = await fetch(this.baseURL, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(briefData)
-            });
+    static normalizeTags(tags) {
+        return [...new Set(tags.map(tag => Brief.normalizeTag(tag)).filter(tag => tag.length > 0))];
+    }
 
-            // Error handling with try/catch
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
+    // Validation method - custom field values are checked against the given schema fields
+    isValid(fields = []) {
+        return this.hasTitle() && this.validateCustomFields(fields).length === 0;
+    }
 
-            const data = await response.json();
-            return new Brief(data);
-        } catch (error) {
-            console.error('Error creating brief:', error);
-            throw error;
-        }
+    hasTitle() {
+        return typeof this.title === 'string' && this.title.trim().length > 0;
     }
 
-    // READ operation - get all briefs
-    async getAllBriefs() {
-        try {
-            if (this.useLocalStorage) {
-                return this._getAllLocal();
-            }
+    // One message per custom field whose value doesn't fit its definition
+    validateCustomFields(fields) {
+        if (!this.hasCustomFieldsObject()) return [];
+        return fields
+            .map(field => BriefSchema.validateValue(field, this.customFields[field.key]))
+            .filter(Boolean);
+    }
 
-            const response = await fetch(this.baseURL);
+    hasCustomFieldsObject() {
+        return typeof this.customFields === 'object' && !Array.isArray(this.customFields);
+    }
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+    // Detailed validation - returns a list of problems (empty when valid).
+    // statuses are the workflow's ids; the status is only checked when they're given
+    validate(fields = [], statuses = null) {
+        const errors = [];
+        if (!this.hasTitle()) {
+            errors.push('Title is required');
+        }
+        if (statuses && this.status !== null && !statuses.includes(this.status)) {
+            errors.push(`Unknown status "${this.status}" (expected ${statuses.join(', ')})`);
+        }
+        ['colors', 'tags', 'references', 'attachments', 'statusHistory'].forEach(field => {
+            if (!Array.isArray(this[field])) {
+                errors.push(`${field} must be a list`);
             }
-
-            const data = await response.json();
-            // Transform API data to Brief objects
-            return data.map(item => new Brief(item));
-        } catch (error) {
-            console.error('Error fetching briefs:', error);
-            throw error;
+        });
+        if (Array.isArray(this.statusHistory) && this.statusHistory.some(entry =>
+            !entry || typeof entry.status !== 'string' || Number.isNaN(Date.parse(entry.at)))) {
+            errors.push('statusHistory entries need a status and a date');
+        }
+        if (Array.isArray(this.colors)) {
+            this.colors
+                .filter(color => !HEX_COLOR_PATTERN.test(color))
+                .forEach(color => errors.push(`Invalid color "${color}" (expected hex like #00f0ff)`));
+        }
+        if (Array.isArray(this.references)) {
+            this.references
+                .filter(ref => ref.url && !safeUrl(ref.url))
+                .forEach(ref => errors.push(`Invalid reference URL "${ref.url}" (only http:// and https:// links can be used)`));
+        }
+        if (this.thumbnail !== null && !safeImageData(this.thumbnail)) {
+            errors.push('Thumbnail must be an image data URL');
         }
+        if (!this.hasCustomFieldsObject()) {
+            errors.push('customFields must be an object of field values');
+        }
+        errors.push(...this.validateCustomFields(fields));
+        return errors;
     }
+}
 
-    // READ operation - get single brief
-    async getBriefById(id) {
-        try {
-            if (this.useLocalStorage) {
-                return this._getByIdLocal(id);
-            }
-
-            const response = await fetch(`${this.baseURL}/${id}`);
+// Fields a teammate can edit - compared when two saves collide
+const MERGE_FIELDS = ['title', 'description', 'colors', 'colorRoles', 'thumbnail', 'tags', 'references', 'attachments', 'customFields', 'status'];
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
+// How those fields are named in the merge and history dialogs, as in the brief form
+const FIELD_LABELS = {
+    title: 'Project Name',
+    description: 'Description',
+    colors: 'Color Palette',
+    colorRoles: 'Color Roles',
+    thumbnail: 'Mood Image',
+    tags: 'Tags',
+    references: 'References',
+    attachments: 'Attachments',
+    customFields: 'Custom Fields',
+    status: 'Status'
+};
 
-            const data = await response.json();
-            return new Brief(data);
-        } catch (error) {
-            console.error('Error fetching brief:', error);
-            throw error;
-        }
+// Thrown when a brief changed in storage since it was opened for editing
+class ConflictError extends Error {
+    constructor(current) {
+        super('This brief was changed by someone else since you opened it');
+        this.name = 'ConflictError';
+        this.current = current;
     }
+}
 
-    // UPDATE operation
-    async updateBrief(id, briefData) {
-        try {
-            if (this.useLocalStorage) {
-                return this._updateLocal(id, briefData);
-            }
+// ================================
+// CUSTOM FIELDS
+// ================================
 
-            // Following API best practices - ID in URL, not in body
-            const response = await fetch(`${this.baseURL}/${id}`, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(briefData)
-            });
+// Extra brief fields a team defines for itself (client, budget, deadline...),
+// kept on this device. Briefs hold the values in customFields, by field key.
+class BriefSchema {
+    constructor(key = 'briefVault_schema') {
+        this.key = key;
+    }
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
+    static get TYPES() {
+        return {
+            text: 'Text',
+            number: 'Number',
+            date: 'Date',
+            select: 'Choice list',
+            checkbox: 'Checkbox',
+            url: 'Link'
+        };
+    }
 
-            const data = await response.json();
-            return new Brief({ ...data, id });
-        } catch (error) {
-            console.error('Error updating brief:', error);
-            throw error;
-        }
+    // Keys a field can't take - they'd clash with brief properties or search qualifiers
+    static get RESERVED_KEYS() {
+        return [...MERGE_FIELDS, ...SearchQuery.QUALIFIERS, 'id', 'createdAt', 'updatedAt', 'revision'];
     }
 
-    // DELETE operation
-    async deleteBrief(id) {
-        try {
-            if (this.useLocalStorage) {
-                return this._deleteLocal(id);
-            }
+    // "Due Date" -> "due_date" - also the search qualifier, e.g. due_date:<2026-12-01
+    static keyFor(label) {
+        return String(label).toLowerCase().trim()
+            .replace(/[^a-z0-9]+/g, '_')
+            .replace(/^[^a-z]+|_+$/g, '');
+    }
 
-            const response = await fetch(`${this.baseURL}/${id}`, {
-                method: 'DELETE'
-            });
+    // Fills in defaults; select options may be given as "a, b, c"
+    static normalizeField(data) {
+        const type = Object.hasOwn(BriefSchema.TYPES, data.type) ? data.type : 'text';
+        const label = String(data.label || '').trim();
+        const options = Array.isArray(data.options) ? data.options : String(data.options || '').split(',');
+        return {
+            key: String(data.key || BriefSchema.keyFor(label)),
+            label,
+            type,
+            options: type === 'select' ? [...new Set(options.map(option => String(option).trim()).filter(Boolean))] : [],
+            required: Boolean(data.required)
+        };
+    }
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+    // Problems with a field list (empty when it can be saved)
+    static validateFields(fields) {
+        const errors = [];
+        const seen = new Set();
+        fields.forEach((field, index) => {
+            const name = field.label || `Field ${index + 1}`;
+            if (!field.label) {
+                errors.push(`${name} needs a label`);
+            }
+            if (!/^[a-z][a-z0-9_]*$/.test(field.key)) {
+                errors.push(`${name}: key "${field.key}" must start with a letter and use only a-z, 0-9 and _`);
+            } else if (BriefSchema.RESERVED_KEYS.includes(field.key)) {
+                errors.push(`${name}: "${field.key}" is reserved, pick another label`);
+            } else if (seen.has(field.key)) {
+                errors.push(`${name}: another field already uses the key "${field.key}"`);
             }
+            seen.add(field.key);
+            if (field.type === 'select' && field.options.length === 0) {
+                errors.push(`${name}: a choice list needs at least one option`);
+            }
+        });
+        return errors;
+    }
 
-            return true;
-        } catch (error) {
-            console.error('Error deleting brief:', error);
-            throw error;
+    getFields() {
+        try {
+            const fields = JSON.parse(localStorage.getItem(this.key));
+            return Array.isArray(fields) ? fields.map(field => BriefSchema.normalizeField(field)) : [];
+        } catch {
+            return [];
         }
     }
 
-    // Local Storage fallback methods for development/offline use
-    _createLocal(briefData) {
-        const briefs = this._getAllLocal();
-        const newBrief = new Brief({
-            ...briefData,
-            id: Date.now().toString()
-        });
-        briefs.push(newBrief);
-        localStorage.setItem(this.localStorageKey, JSON.stringify(briefs));
-        return newBrief;
+    // Throws with every problem listed, so nothing half-valid is saved
+    setFields(fields) {
+        const normalized = fields.map(field => BriefSchema.normalizeField(field));
+        const errors = BriefSchema.validateFields(normalized);
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
+        localStorage.setItem(this.key, JSON.stringify(normalized));
+        return normalized;
     }
 
-    _getAllLocal() {
-        const data = localStorage.getItem(this.localStorageKey);
-        return data ? JSON.parse(data).map(item => new Brief(item)) : [];
+    static isEmpty(value) {
+        return value === null || value === undefined || value === '';
     }
 
-    _getByIdLocal(id) {
-        const briefs = this._getAllLocal();
-        return briefs.find(brief => brief.id === id);
+    // Form or CSV input -> stored value; blanks become null, numbers stay NaN until validated
+    static parseValue(field, raw) {
+        if (field.type === 'checkbox') {
+            return raw === true || /^(true|yes|on|1)$/i.test(String(raw ?? '').trim());
+        }
+        const text = String(raw ?? '').trim();
+        if (text === '') return null;
+        return field.type === 'number' ? Number(text) : text;
     }
 
-    _updateLocal(id, briefData) {
-        const briefs = this._getAllLocal();
-        const index = briefs.findIndex(brief => brief.id === id);
-        if (index !== -1) {
-            briefs[index] = new Brief({ ...briefData, id });
-            localStorage.setItem(this.localStorageKey, JSON.stringify(briefs));
-            return briefs[index];
+    // Problem with one value, or null when it fits the field
+    static validateValue(field, value) {
+        if (BriefSchema.isEmpty(value)) {
+            return field.required ? `${field.label} is required` : null;
+        }
+        switch (field.type) {
+            case 'number':
+                return typeof value === 'number' && Number.isFinite(value) ? null : `${field.label} must be a number`;
+            case 'date':
+                return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value))
+                    ? null
+                    : `${field.label} must be a date like 2026-12-31`;
+            case 'select':
+                return field.options.includes(value) ? null : `${field.label} must be one of: ${field.options.join(', ')}`;
+            case 'checkbox':
+                if (typeof value !== 'boolean') return `${field.label} must be checked or unchecked`;
+                return field.required && !value ? `${field.label} must be checked` : null;
+            case 'url':
+                return safeUrl(value) ? null : `${field.label} must be an http:// or https:// link`;
+            default:
+                return typeof value === 'string' ? null : `${field.label} must be text`;
         }
-        throw new Error('Brief not found');
     }
 
-    _deleteLocal(id) {
-        const briefs = this._getAllLocal();
-        const filtered = briefs.filter(brief => brief.id !== id);
-        localStorage.setItem(this.localStorageKey, JSON.stringify(filtered));
-        return true;
+    // Text shown on cards and the detail page ('' when there's no value)
+    static formatValue(field, value) {
+        if (BriefSchema.isEmpty(value)) return '';
+        switch (field.type) {
+            case 'checkbox':
+                return value ? 'Yes' : 'No';
+            case 'number':
+                return Number(value).toLocaleString();
+            case 'date':
+                return new Date(`${value}T00:00:00`).toLocaleDateString();
+            default:
+                return String(value);
+        }
+    }
+
+    // Sort by one field - briefs without a value always go last
+    static comparator(field) {
+        return (a, b) => {
+            const x = (a.customFields || {})[field.key];
+            const y = (b.customFields || {})[field.key];
+            const missing = Number(BriefSchema.isEmpty(x)) - Number(BriefSchema.isEmpty(y));
+            if (missing !== 0 || BriefSchema.isEmpty(x)) return missing;
+            switch (field.type) {
+                case 'number':
+                    return x - y;
+                case 'checkbox':
+                    return Number(y) - Number(x);
+                case 'select':
+                    return field.options.indexOf(x) - field.options.indexOf(y);
+                default:
+                    return String(x).localeCompare(String(y), undefined, { sensitivity: 'base', numeric: true });
+            }
+        };
+    }
+}
+
+// Thrown when the workflow doesn't allow moving a brief from one status to another
+// (from and to are the status labels)
+class TransitionError extends Error {
+    constructor(from, to) {
+        super(`A brief can't move from "${from}" straight to "${to}" in this workflow`);
+        this.name = 'TransitionError';
+        this.from = from;
+        this.to = to;
     }
 }
 
 // ================================
-// APP CONTROLLER
+// STATUS WORKFLOW
 // ================================
 
-class BriefVaultApp {
-    constructor() {
-        this.api = new APIService();
-        this.briefs = [];
-        this.currentEditId = null;
-        
-        this.initElements();
-        this.attachEventListeners();
-        this.initTheme();
-        this.checkFirstVisit();
-        this.loadBriefs();
+// The team's statuses in board order, each with a badge color and the
+// statuses a brief may move to next. Kept on this device.
+class StatusWorkflow {
+    constructor(key = 'briefVault_workflow') {
+        this.key = key;
     }
 
-    initElements() {
-        // Modal elements
-        this.modal = document.getElementById('briefModal');
-        this.briefForm = document.getElementById('briefForm');
-        this.modalTitle = document.getElementById('modalTitle');
-        this.submitBtnText = document.getElementById('submitBtnText');
-        
-        // Button elements
-        this.newBriefBtn = document.getElementById('newBriefBtn');
-        this.closeModalBtn = document.getElementById('closeModal');
-        this.cancelBtn = document.getElementById('cancelBtn');
-        
-        // Grid and state elements
-        this.briefsGrid = document.getElementById('briefsGrid');
-        this.emptyState = document.getElementById('emptyState');
-        
-        // Filter/search elements
-        this.searchInput = document.getElementById('searchInput');
-        this.statusFilter = document.getElementById('statusFilter');
-        
-        // New feature elements
-        this.themeToggle = document.getElementById('themeToggle');
-        this.seedDataBtn = document.getElementById('seedDataBtn');
-        this.seedDataBtnEmpty = document.getElementById('seedDataBtnEmpty');
-        this.newBriefBtnEmpty = document.getElementById('newBriefBtnEmpty');
-        this.showTutorialBtn = document.getElementById('showTutorialBtn');
-        
-        // Tutorial elements
-        this.tutorialOverlay = document.getElementById('tutorialOverlay');
-        this.tutorialNext = document.getElementById('tutorialNext');
-        this.tutorialPrev = document.getElementById('tutorialPrev');
-        this.tutorialSkip = document.getElementById('tutorialSkip');
-        this.tutorialFinish = document.getElementById('tutorialFinish');
-        this.currentTutorialStep = 0;
-        
-        // Templates elements
-        this.templatesBtn = document.getElementById('templatesBtn');
-        this.templatesBtnEmpty = document.getElementById('templatesBtnEmpty');
-        this.templatesModal = document.getElementById('templatesModal');
-        this.closeTemplates = document.getElementById('closeTemplates');
-        this.templatesGrid = document.getElementById('templatesGrid');
+    // Used until the workflow is first edited - any status can follow any other
+    static get DEFAULTS() {
+        const statuses = [
+            { id: 'idea', label: 'Idea', color: '#ffd700' },
+            { id: 'in-progress', label: 'In Progress', color: '#00f0ff' },
+            { id: 'completed', label: 'Completed', color: '#00ff9f' },
+            { id: 'archived', label: 'Archived', color: '#a8b2d1' }
+        ];
+        return statuses.map(status => ({
+            ...status,
+            next: statuses.map(other => other.id).filter(id => id !== status.id)
+        }));
     }
 
-    attachEventListeners() {
-        // Modal controls
-        this.newBriefBtn.addEventListener('click', () => this.openCreateModal());
-        this.closeModalBtn.addEventListener('click', () => this.closeModal());
-        this.cancelBtn.addEventListener('click', () => this.closeModal());
-        
-        // Form submission for CREATE/UPDATE
-        this.briefForm.addEventListener('submit', (e) => this.handleFormSubmit(e));
-        
-        // Search and filter functionality
-        this.searchInput.addEventListener('input', () => this.filterBriefs());
-        this.statusFilter.addEventListener('change', () => this.filterBriefs());
-        
-        // Close modal on outside click
-        this.modal.addEventListener('click', (e) => {
-            if (e.target === this.modal) this.closeModal();
-        });
-        
-        // Theme toggle
-        this.themeToggle.addEventListener('click', () => this.toggleTheme());
-        
-        // Seed data buttons
-        this.seedDataBtn.addEventListener('click', () => this.loadSeedData());
-        this.seedDataBtnEmpty.addEventListener('click', () => this.loadSeedData());
-        this.newBriefBtnEmpty.addEventListener('click', () => this.openCreateModal());
-        
-        // Tutorial navigation
-        this.tutorialNext.addEventListener('click', () => this.nextTutorialStep());
-        this.tutorialPrev.addEventListener('click', () => this.prevTutorialStep());
-        this.tutorialSkip.addEventListener('click', () => this.closeTutorial());
-        this.tutorialFinish.addEventListener('click', () => this.closeTutorial());
-        this.showTutorialBtn.addEventListener('click', () => this.showTutorial());
-        this.tutorialOverlay.addEventListener('click', (e) => {
-            if (e.target === this.tutorialOverlay) this.closeTutorial();
-        });
-        
-        // Tutorial quick action buttons
-        document.getElementById('tutorialDemoData')?.addEventListener('click', () => {
-            this.closeTutorial();
-            setTimeout(() => this.loadSeedData(), 300);
-        });
-        document.getElementById('tutorialTemplates')?.addEventListener('click', () => {
-            this.closeTutorial();
-            setTimeout(() => this.openTemplatesModal(), 300);
-        });
-        document.getElementById('tutorialNewBrief')?.addEventListener('click', () => {
-            this.closeTutorial();
-            setTimeout(() => this.openCreateModal(), 300);
-        });
-        
-        // Templates functionality
-        this.templatesBtn.addEventListener('click', () => this.openTemplatesModal());
-        this.templatesBtnEmpty.addEventListener('click', () => this.openTemplatesModal());
-        this.closeTemplates.addEventListener('click', () => this.closeTemplatesModal());
-        this.templatesModal.addEventListener('click', (e) => {
-            if (e.target === this.templatesModal) this.closeTemplatesModal();
+    // "In Review" -> "in-review"
+    static idFor(label) {
+        return String(label).toLowerCase().trim()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^[^a-z]+|-+$/g, '');
+    }
+
+    static normalize(data) {
+        const label = String(data.label || '').trim();
+        return {
+            id: String(data.id || StatusWorkflow.idFor(label)),
+            label,
+            color: safeColor(data.color) || '#a8b2d1',
+            next: Array.isArray(data.next) ? [...new Set(data.next.map(String))] : []
+        };
+    }
+
+    // Problems with a status list (empty when it can be saved)
+    static validateStatuses(statuses) {
+        const errors = [];
+        const ids = statuses.map(status => status.id);
+        if (statuses.length === 0) {
+            errors.push('The workflow needs at least one status');
+        }
+        statuses.forEach((status, index) => {
+            const name = status.label || `Status ${index + 1}`;
+            if (!status.label) {
+                errors.push(`${name} needs a label`);
+            }
+            if (!/^[a-z][a-z0-9-]*$/.test(status.id)) {
+                errors.push(`${name}: id "${status.id}" must start with a letter and use only a-z, 0-9 and -`);
+            } else if (ids.indexOf(status.id) !== index) {
+                errors.push(`${name}: another status already uses the id "${status.id}"`);
+            }
+            status.next
+                .filter(id => !ids.includes(id))
+                .forEach(id => errors.push(`${name}: can't lead to unknown status "${id}"`));
         });
+        return errors;
     }
 
-    // READ - Load and display all briefs
-    async loadBriefs() {
+    getStatuses() {
         try {
-            this.briefs = await this.api.getAllBriefs();
-            this.renderBriefs(this.briefs);
-        } catch (error) {
-            console.error('Failed to load briefs:', error);
-            alert('Failed to load briefs. Please try again.');
+            const statuses = JSON.parse(localStorage.getItem(this.key));
+            if (Array.isArray(statuses) && statuses.length > 0) {
+                return statuses.map(status => StatusWorkflow.normalize(status));
+            }
+        } catch {
+            // Fall through to the defaults
         }
+        return StatusWorkflow.DEFAULTS;
     }
 
-    // Display briefs in the UI
-    renderBriefs(briefsToRender) {
-        // Clear existing cards
-        this.briefsGrid.innerHTML = '';
-
-        if (briefsToRender.length === 0) {
-            this.emptyState.classList.add('active');
-            this.briefsGrid.style.display = 'none';
-            return;
+    // Throws with every problem listed, so a broken workflow is never saved
+    setStatuses(statuses) {
+        const normalized = statuses.map(status => StatusWorkflow.normalize(status));
+        const errors = StatusWorkflow.validateStatuses(normalized);
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
         }
+        localStorage.setItem(this.key, JSON.stringify(normalized));
+        return normalized;
+    }
 
-        // Show grid and hide empty state
-        this.emptyState.classList.remove('active');
-        this.emptyState.style.display = 'none';
-        this.briefsGrid.style.display = 'grid';
-        this.briefsGrid.style.visibility = 'visible';
-        this.briefsGrid.style.opacity = '1';
+    ids() {
+        return this.getStatuses().map(status => status.id);
+    }
 
-        briefsToRender.forEach(brief => {
-            const card = this.createBriefCard(brief);
-            this.briefsGrid.appendChild(card);
-        });
+    get(id) {
+        return this.getStatuses().find(status => status.id === id) || null;
     }
 
-    createBriefCard(brief) {
-        const card = document.createElement('div');
-        card.className = 'brief-card';
-        card.dataset.id = brief.id;
+    label(id) {
+        const status = this.get(id);
+        return status ? status.label : String(id).replace(/-/g, ' ');
+    }
+
+    // New briefs start in the first status
+    initialStatus() {
+        return this.getStatuses()[0].id;
+    }
+
+    // Staying put is always fine, and so is leaving a status the workflow no longer has
+    canTransition(from, to) {
+        if (from === to) return true;
+        const status = this.get(from);
+        return !status || status.next.includes(to);
+    }
+
+    // Status history -> [{ status, at, ms }], ms being how long the brief stayed
+    // (the current stage counts up to now)
+    static stages(statusHistory, now = Date.now()) {
+        return statusHistory.map((entry, index) => {
+            const next = statusHistory[index + 1];
+            const end = next ? Date.parse(next.at) : now;
+            return { ...entry, ms: Math.max(0, end - Date.parse(entry.at)), current: !next };
+        });
+    }
+
+    // Total time per status, in the order first entered
+    static totals(statusHistory, now = Date.now()) {
+        const totals = new Map();
+        StatusWorkflow.stages(statusHistory, now).forEach(stage => {
+            totals.set(stage.status, (totals.get(stage.status) || 0) + stage.ms);
+        });
+        return Array.from(totals, ([status, ms]) => ({ status, ms }));
+    }
+
+    // 90061000 -> "1d 1h", 3720000 -> "1h 2m"
+    static formatDuration(ms) {
+        const minutes = Math.floor(ms / 60000);
+        const hours = Math.floor(minutes / 60);
+        const days = Math.floor(hours / 24);
+        if (days > 0) return hours % 24 > 0 ? `${days}d ${hours % 24}h` : `${days}d`;
+        if (hours > 0) return minutes % 60 > 0 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+        return minutes > 0 ? `${minutes}m` : 'under a minute';
+    }
+}
+
+// ================================
+// COLOR UTILITIES
+// ================================
+
+// Conversions between hex, RGB and HSL
+class ColorUtils {
+    // "#ff0080" or "f08" -> { r, g, b }, or null if not a hex color
+    static hexToRgb(value) {
+        const match = /^#?([0-9a-f]{6}|[0-9a-f]{3})$/i.exec(String(value).trim());
+        if (!match) return null;
+        let hex = match[1];
+        if (hex.length === 3) {
+            hex = hex.split('').map(char => char + char).join('');
+        }
+        return {
+            r: parseInt(hex.slice(0, 2), 16),
+            g: parseInt(hex.slice(2, 4), 16),
+            b: parseInt(hex.slice(4, 6), 16)
+        };
+    }
+
+    // { r, g, b } -> { h: 0-360, s: 0-100, l: 0-100 }
+    static rgbToHsl({ r, g, b }) {
+        const [rn, gn, bn] = [r / 255, g / 255, b / 255];
+        const max = Math.max(rn, gn, bn);
+        const min = Math.min(rn, gn, bn);
+        const l = (max + min) / 2;
+        let h = 0;
+        let s = 0;
+
+        if (max !== min) {
+            const d = max - min;
+            s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+            if (max === rn) h = (gn - bn) / d + (gn < bn ? 6 : 0);
+            else if (max === gn) h = (bn - rn) / d + 2;
+            else h = (rn - gn) / d + 4;
+            h *= 60;
+        }
+        return { h: Math.round(h), s: Math.round(s * 100), l: Math.round(l * 100) };
+    }
+
+    // { r, g, b } -> "#rrggbb"
+    static rgbToHex({ r, g, b }) {
+        return '#' + [r, g, b]
+            .map(value => Math.round(Math.min(255, Math.max(0, value))).toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    // { h: 0-360, s: 0-100, l: 0-100 } -> { r, g, b }
+    static hslToRgb({ h, s, l }) {
+        const sn = s / 100;
+        const ln = l / 100;
+        const a = sn * Math.min(ln, 1 - ln);
+        const channel = (n) => {
+            const k = (n + h / 30) % 12;
+            return Math.round((ln - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))) * 255);
+        };
+        return { r: channel(0), g: channel(8), b: channel(4) };
+    }
+
+    // Hue offsets of each harmony, relative to the base color
+    static get HARMONIES() {
+        return {
+            complementary: [0, 180],
+            analogous: [0, -30, 30],
+            triadic: [0, 120, 240]
+        };
+    }
+
+    // Base color followed by its harmony partners, e.g. ("#ff0000", "triadic") -> ["#ff0000", "#00ff00", "#0000ff"]
+    static harmony(baseHex, scheme) {
+        const rgb = ColorUtils.hexToRgb(baseHex);
+        const offsets = ColorUtils.HARMONIES[scheme];
+        if (!rgb || !offsets) return [];
+
+        const hsl = ColorUtils.rgbToHsl(rgb);
+        return offsets.map(offset => offset === 0
+            ? ColorUtils.rgbToHex(rgb)
+            : ColorUtils.rgbToHex(ColorUtils.hslToRgb({ ...hsl, h: (hsl.h + offset + 360) % 360 })));
+    }
+
+    // WCAG relative luminance, 0 (black) to 1 (white)
+    static luminance({ r, g, b }) {
+        const [rl, gl, bl] = [r, g, b].map(value => {
+            const channel = value / 255;
+            return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+        });
+        return 0.2126 * rl + 0.7152 * gl + 0.0722 * bl;
+    }
+
+    // WCAG contrast ratio between two hex colors, 1 to 21 (null if either isn't a color)
+    static contrastRatio(foreground, background) {
+        const fg = ColorUtils.hexToRgb(foreground);
+        const bg = ColorUtils.hexToRgb(background);
+        if (!fg || !bg) return null;
+
+        const [light, dark] = [ColorUtils.luminance(fg), ColorUtils.luminance(bg)].sort((x, y) => y - x);
+        return (light + 0.05) / (dark + 0.05);
+    }
+
+    // WCAG 2 level a ratio reaches - AA needs 4.5 for body text, 3 for large text
+    static contrastRating(ratio) {
+        if (ratio >= 7) return 'AAA';
+        if (ratio >= 4.5) return 'AA';
+        if (ratio >= 3) return 'AA Large';
+        return 'Fail';
+    }
+
+    static formatRgb({ r, g, b }) {
+        return `rgb(${r}, ${g}, ${b})`;
+    }
+
+    static formatHsl({ h, s, l }) {
+        return `hsl(${h}, ${s}%, ${l}%)`;
+    }
+}
+
+// ================================
+// PALETTE EXTRACTION
+// ================================
+
+// Proposes a palette from a mood image - k-means clustering on a small canvas copy
+class PaletteExtractor {
+    // Images are scaled down to fit these sizes (px) before sampling / for the thumbnail
+    static get SAMPLE_SIZE() {
+        return 64;
+    }
+
+    static get THUMBNAIL_SIZE() {
+        return 240;
+    }
+
+    // Larger files are refused before decoding
+    static get MAX_FILE_SIZE() {
+        return 20 * 1024 * 1024;
+    }
+
+    // File -> { colors: [hex, ...] most common first, thumbnail: data URL }
+    static async fromFile(file, count) {
+        if (!file.type.startsWith('image/')) {
+            throw new Error('Choose an image file (PNG, JPEG, WebP or GIF)');
+        }
+        if (file.size > PaletteExtractor.MAX_FILE_SIZE) {
+            throw new Error('Images can be at most 20 MB');
+        }
+
+        const image = await PaletteExtractor.loadImage(file);
+        return {
+            colors: PaletteExtractor.quantize(PaletteExtractor.samplePixels(image), count),
+            thumbnail: PaletteExtractor.drawScaled(image, PaletteExtractor.THUMBNAIL_SIZE, '#ffffff')
+                .toDataURL('image/jpeg', 0.8)
+        };
+    }
+
+    static loadImage(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('This image could not be read'));
+            };
+            image.src = url;
+        });
+    }
+
+    // Canvas with the image scaled to fit maxSize (JPEG has no alpha, so thumbnails get a background)
+    static drawScaled(image, maxSize, background = null) {
+        const scale = Math.min(1, maxSize / Math.max(image.naturalWidth, image.naturalHeight));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+        canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+
+        const context = canvas.getContext('2d');
+        if (background) {
+            context.fillStyle = background;
+            context.fillRect(0, 0, canvas.width, canvas.height);
+        }
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+        return canvas;
+    }
+
+    // [[r, g, b], ...] for every mostly-opaque pixel of the sample
+    static samplePixels(image) {
+        const canvas = PaletteExtractor.drawScaled(image, PaletteExtractor.SAMPLE_SIZE);
+        const { data } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+        const pixels = [];
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] >= 128) {
+                pixels.push([data[i], data[i + 1], data[i + 2]]);
+            }
+        }
+        return pixels;
+    }
+
+    // k-means in RGB space. Seeds are picked farthest-point first so the result
+    // is deterministic and distinct accents aren't swallowed by large areas.
+    static quantize(pixels, count, iterations = 10) {
+        if (pixels.length === 0 || count < 1) return [];
+        const distance = (a, b) => (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+
+        // First seed: the pixel closest to the average color
+        const mean = [0, 1, 2].map(channel => pixels.reduce((sum, pixel) => sum + pixel[channel], 0) / pixels.length);
+        let centers = [pixels.reduce((best, pixel) => distance(pixel, mean) < distance(best, mean) ? pixel : best)];
+        const nearest = pixels.map(pixel => distance(pixel, centers[0]));
+        while (centers.length < count) {
+            let farthest = 0;
+            nearest.forEach((value, i) => {
+                if (value > nearest[farthest]) farthest = i;
+            });
+            // Fewer distinct colors than requested
+            if (nearest[farthest] === 0) break;
+
+            centers.push(pixels[farthest]);
+            pixels.forEach((pixel, i) => {
+                nearest[i] = Math.min(nearest[i], distance(pixel, pixels[farthest]));
+            });
+        }
+
+        let counts = [];
+        for (let round = 0; round < iterations; round++) {
+            const sums = centers.map(() => [0, 0, 0]);
+            counts = centers.map(() => 0);
+            pixels.forEach(pixel => {
+                let best = 0;
+                centers.forEach((center, i) => {
+                    if (distance(pixel, center) < distance(pixel, centers[best])) best = i;
+                });
+                sums[best].forEach((sum, channel) => {
+                    sums[best][channel] = sum + pixel[channel];
+                });
+                counts[best]++;
+            });
+            centers = centers.map((center, i) => counts[i] > 0 ? sums[i].map(sum => sum / counts[i]) : center);
+        }
+
+        const ranked = centers
+            .map((center, i) => ({ hex: ColorUtils.rgbToHex({ r: center[0], g: center[1], b: center[2] }), count: counts[i] }))
+            .sort((a, b) => b.count - a.count)
+            .map(cluster => cluster.hex);
+        return [...new Set(ranked)];
+    }
+}
+
+// ================================
+// SAFE HTML
+// ================================
+
+// Escape text before it goes into innerHTML
+function escapeHTML(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Returns the normalized URL if it uses an allowed protocol, otherwise null
+// (blocks javascript:, data: and friends)
+function safeUrl(url, protocols = ['http:', 'https:']) {
+    try {
+        const parsed = new URL(String(url).trim());
+        return protocols.includes(parsed.protocol) ? parsed.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Marks a string as already-safe HTML so safeHTML`` won't escape it again
+class TrustedHTML {
+    constructor(value) {
+        this.value = String(value);
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+function trustedHTML(value) {
+    return new TrustedHTML(value);
+}
+
+// Tagged template for everything that goes into innerHTML.
+// Every ${value} is escaped unless it's TrustedHTML (including nested
+// safeHTML`` results); arrays are joined and null/false render nothing.
+function safeHTML(strings, ...values) {
+    const render = (value) => {
+        if (value instanceof TrustedHTML) return value.value;
+        if (Array.isArray(value)) return value.map(render).join('');
+        if (value === null || value === undefined || value === false) return '';
+        return escapeHTML(value);
+    };
+    return new TrustedHTML(strings.reduce((out, string, i) =>
+        out + string + (i < values.length ? render(values[i]) : ''), ''));
+}
+
+// Lowercase hex color, or null - only validated colors go into style attributes
+function safeColor(color) {
+    return typeof color === 'string' && HEX_COLOR_PATTERN.test(color.trim())
+        ? color.trim().toLowerCase()
+        : null;
+}
+
+// Returns the value if it's a base64 image data URL (thumbnails), otherwise null
+function safeImageData(value) {
+    return typeof value === 'string' && /^data:image\/(png|jpeg|gif|webp);base64,[a-z0-9+/]+=*$/i.test(value)
+        ? value
+        : null;
+}
+
+// Allowlist sanitizer - anything not listed here is stripped
+class HTMLSanitizer {
+    // tag -> allowed attributes
+    static get ALLOWED() {
+        return {
+            p: [], br: [], hr: [], strong: [], em: [], del: [], code: [], pre: [], blockquote: [],
+            h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+            ul: [], ol: ['start'], li: ['class'], mark: [],
+            a: ['href', 'title'],
+            input: ['type', 'checked', 'disabled']
+        };
+    }
+
+    // Dropped along with their contents (everything else unknown is unwrapped)
+    static get DROPPED() {
+        return ['script', 'style', 'iframe', 'object', 'embed', 'template', 'svg', 'math', 'form', 'textarea', 'select', 'button'];
+    }
+
+    static sanitize(html) {
+        // <template> parses without running scripts or loading images
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        HTMLSanitizer.clean(template.content);
+        return template.innerHTML;
+    }
+
+    static clean(parent) {
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) return;
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                node.remove();
+                return;
+            }
+
+            const tag = node.tagName.toLowerCase();
+            const allowedAttributes = HTMLSanitizer.ALLOWED[tag];
+            if (!allowedAttributes) {
+                if (HTMLSanitizer.DROPPED.includes(tag)) {
+                    node.remove();
+                } else {
+                    HTMLSanitizer.clean(node);
+                    node.replaceWith(...node.childNodes);
+                }
+                return;
+            }
+
+            Array.from(node.attributes).forEach(attribute => {
+                if (!allowedAttributes.includes(attribute.name)) {
+                    node.removeAttribute(attribute.name);
+                }
+            });
+
+            if (tag === 'a') {
+                const href = safeUrl(node.getAttribute('href'), ['http:', 'https:', 'mailto:']);
+                if (href) {
+                    node.setAttribute('href', href);
+                    node.setAttribute('target', '_blank');
+                    node.setAttribute('rel', 'noopener noreferrer');
+                } else {
+                    node.removeAttribute('href');
+                }
+            }
+            // Only read-only checklist boxes
+            if (tag === 'input') {
+                if (node.getAttribute('type') !== 'checkbox') {
+                    node.remove();
+                    return;
+                }
+                node.setAttribute('disabled', '');
+            }
+
+            HTMLSanitizer.clean(node);
+        });
+    }
+}
+
+// ================================
+// MARKDOWN
+// ================================
+
+// Small Markdown renderer for brief descriptions: headings, lists,
+// checklists, links, bold/italic, inline and fenced code, quotes.
+// Text is escaped first and the result still goes through HTMLSanitizer.
+class MarkdownRenderer {
+    static render(markdown) {
+        return HTMLSanitizer.sanitize(MarkdownRenderer.renderBlocks(markdown));
+    }
+
+    static renderBlocks(markdown) {
+        const lines = String(markdown ?? '').replace(/\r\n?/g, '\n').split('\n');
+        const html = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            // Fenced code block
+            if (/^\s*```/.test(line)) {
+                const code = [];
+                i++;
+                while (i < lines.length && !/^\s*```/.test(lines[i])) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                i++;
+                html.push(`<pre><code>${escapeHTML(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            if (line.trim() === '') {
+                i++;
+                continue;
+            }
+
+            const heading = /^(#{1,6})\s+(.*)$/.exec(line);
+            if (heading) {
+                const level = heading[1].length;
+                html.push(`<h${level}>${MarkdownRenderer.renderInline(heading[2])}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                html.push('<hr>');
+                i++;
+                continue;
+            }
+
+            if (/^\s*>/.test(line)) {
+                const quote = [];
+                while (i < lines.length && /^\s*>/.test(lines[i])) {
+                    quote.push(lines[i].replace(/^\s*>\s?/, ''));
+                    i++;
+                }
+                html.push(`<blockquote>${MarkdownRenderer.renderBlocks(quote.join('\n'))}</blockquote>`);
+                continue;
+            }
+
+            const listMatch = MarkdownRenderer.matchListItem(line);
+            if (listMatch) {
+                const ordered = listMatch.ordered;
+                const items = [];
+                while (i < lines.length) {
+                    const item = MarkdownRenderer.matchListItem(lines[i]);
+                    if (!item || item.ordered !== ordered) break;
+                    items.push(MarkdownRenderer.renderListItem(item.text));
+                    i++;
+                }
+                const start = ordered && listMatch.number !== 1 ? ` start="${listMatch.number}"` : '';
+                html.push(ordered ? `<ol${start}>${items.join('')}</ol>` : `<ul>${items.join('')}</ul>`);
+                continue;
+            }
+
+            // Paragraph - runs until a blank line or another block starts
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() !== '' && !MarkdownRenderer.startsBlock(lines[i])) {
+                paragraph.push(MarkdownRenderer.renderInline(lines[i]));
+                i++;
+            }
+            html.push(`<p>${paragraph.join('<br>')}</p>`);
+        }
+
+        return html.join('');
+    }
+
+    static matchListItem(line) {
+        const match = /^\s*([-*+]|(\d+)[.)])\s+(.*)$/.exec(line);
+        if (!match) return null;
+        return {
+            ordered: match[2] !== undefined,
+            number: match[2] !== undefined ? parseInt(match[2], 10) : null,
+            text: match[3]
+        };
+    }
+
+    // "- [ ] todo" and "- [x] done" become checklist items
+    static renderListItem(text) {
+        const task = /^\[([ xX])\]\s+(.*)$/.exec(text);
+        if (task) {
+            const checked = task[1] !== ' ' ? ' checked' : '';
+            return `<li class="task-item"><input type="checkbox" disabled${checked}> ${MarkdownRenderer.renderInline(task[2])}</li>`;
+        }
+        return `<li>${MarkdownRenderer.renderInline(text)}</li>`;
+    }
+
+    static startsBlock(line) {
+        return /^\s*```/.test(line) ||
+            /^#{1,6}\s/.test(line) ||
+            /^\s*>/.test(line) ||
+            /^\s*([-*_])(\s*\1){2,}\s*$/.test(line) ||
+            MarkdownRenderer.matchListItem(line) !== null;
+    }
+
+    // Code spans and links are swapped for placeholders so emphasis
+    // markers inside them (e.g. snake_case URLs) are left alone
+    static renderInline(text) {
+        const tokens = [];
+        const hold = (html) => {
+            tokens.push(html);
+            return `\u0000${tokens.length - 1}\u0000`;
+        };
+
+        // \u0000 is reserved for placeholders
+        let html = escapeHTML(text.replace(/\u0000/g, ''));
+
+        html = html.replace(/`([^`]+)`/g, (match, code) => hold(`<code>${code}</code>`));
+
+        html = html.replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+            const href = safeUrl(MarkdownRenderer.unescape(url), ['http:', 'https:', 'mailto:']);
+            return href ? hold(`<a href="${escapeHTML(href)}">${MarkdownRenderer.renderEmphasis(label)}</a>`) : label;
+        });
+
+        // Autolinks: <https://example.com>
+        html = html.replace(/&lt;(https?:\/\/[^\s]+?)&gt;/g, (match, url) => {
+            const href = safeUrl(MarkdownRenderer.unescape(url));
+            return href ? hold(`<a href="${escapeHTML(href)}">${url}</a>`) : match;
+        });
+
+        html = MarkdownRenderer.renderEmphasis(html);
+
+        return html.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+    }
+
+    static renderEmphasis(html) {
+        return html
+            .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+            .replace(/__(?=\S)(.+?)__/g, '<strong>$1</strong>')
+            .replace(/~~(?=\S)(.+?)~~/g, '<del>$1</del>')
+            .replace(/\*(?=\S)(.+?)\*/g, '<em>$1</em>')
+            .replace(/(^|[^\w])_(?=\S)(.+?)_(?!\w)/g, '$1<em>$2</em>');
+    }
+
+    // Reverse escapeHTML so a URL can be validated as typed
+    static unescape(text) {
+        return text
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+}
+
+// ================================
+// SEARCH QUERY LANGUAGE
+// ================================
+
+// Parses queries like: tag:mobile status:idea color:#ff0080 created:>2026-01-01 "exact phrase" -dark
+// Plain words and "phrases" match title, description, tags and custom text fields; a leading - excludes.
+// Custom fields work as qualifiers too: client:acme budget:>=5000 deadline:<2026-12-01 approved:yes
+class SearchQuery {
+    static get QUALIFIERS() {
+        return ['tag', 'status', 'color', 'created'];
+    }
+
+    // How far apart (RGB distance) two colors can be and still count as a match
+    static get COLOR_TOLERANCE() {
+        return 60;
+    }
+
+    // fields - the BriefSchema field list, for custom field qualifiers
+    constructor(text, fields = []) {
+        this.text = text || '';
+        this.fields = fields;
+        this.terms = SearchQuery.tokenize(this.text, fields.map(field => field.key));
+    }
+
+    static tokenize(text, customKeys = []) {
+        const terms = [];
+        const qualifiers = [...SearchQuery.QUALIFIERS, ...customKeys];
+        const pattern = /(-?)(?:([a-z]\w*):)?(?:"([^"]*)"?|(\S+))/gi;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const [raw, minus, qualifier, phrase, word] = match;
+            const field = qualifier && qualifiers.includes(qualifier.toLowerCase())
+                ? qualifier.toLowerCase()
+                : null;
+            // Unknown "foo:bar" is just text
+            let value = phrase ?? word ?? '';
+            if (qualifier && !field) {
+                value = `${qualifier}:${value}`;
+            }
+            value = value.trim();
+            if (!value || raw === '-') continue;
+
+            terms.push({
+                field,
+                value: value.toLowerCase(),
+                negate: minus === '-',
+                phrase: phrase !== undefined
+            });
+        }
+        return terms;
+    }
+
+    isEmpty() {
+        return this.terms.length === 0;
+    }
+
+    // Relevance score, or null when the brief doesn't match
+    score(brief) {
+        let total = 0;
+        for (const term of this.terms) {
+            const points = this.scoreTerm(term, brief);
+            if (term.negate ? points > 0 : points === 0) {
+                return null;
+            }
+            if (!term.negate) total += points;
+        }
+        return total;
+    }
+
+    scoreTerm(term, brief) {
+        switch (term.field) {
+            case 'tag':
+                return brief.tags.some(tag => tag.toLowerCase() === term.value) ? 3 : 0;
+            case 'status':
+                return brief.status === term.value ? 1 : 0;
+            case 'color':
+                return this.scoreColor(term.value, brief.colors);
+            case 'created':
+                return SearchQuery.matchesDate(term.value, brief.createdAt) ? 1 : 0;
+            case null:
+                return this.scoreText(term, brief);
+            default:
+                return this.scoreCustomField(term, brief);
+        }
+    }
+
+    // client:acme matches part of the text, budget:>5000 and deadline:<2026-12-01
+    // compare, approved:yes / approved:no checks a checkbox
+    scoreCustomField(term, brief) {
+        const field = this.fields.find(item => item.key === term.field);
+        const value = (brief.customFields || {})[term.field];
+        if (!field) return 0;
+        if (field.type === 'checkbox') {
+            return Boolean(value) === /^(yes|true|on|1)$/.test(term.value) ? 1 : 0;
+        }
+        if (BriefSchema.isEmpty(value)) return 0;
+
+        switch (field.type) {
+            case 'number':
+                return SearchQuery.matchesNumber(term.value, value) ? 1 : 0;
+            case 'date':
+                return SearchQuery.matchesDate(term.value, value) ? 1 : 0;
+            default:
+                return String(value).toLowerCase().includes(term.value) ? 3 : 0;
+        }
+    }
+
+    // Title hits rank highest, then tags, then description
+    scoreText(term, brief) {
+        const weight = term.phrase ? 1.5 : 1;
+        const title = brief.title.toLowerCase();
+        let points = 0;
+
+        if (title.includes(term.value)) {
+            points += 10;
+            if (title.startsWith(term.value)) points += 5;
+        }
+        if (brief.tags.some(tag => tag.toLowerCase().includes(term.value))) {
+            points += 6;
+        }
+        const occurrences = brief.description.toLowerCase().split(term.value).length - 1;
+        points += Math.min(occurrences, 3) * 2;
+        if (this.customTextValues(brief).some(value => value.includes(term.value))) {
+            points += 2;
+        }
+
+        return points * weight;
+    }
+
+    // Exact match scores 5, near matches less the further away they are
+    scoreColor(value, colors) {
+        const target = ColorUtils.hexToRgb(value);
+        if (!target) return 0;
+
+        let best = 0;
+        colors.forEach(color => {
+            const rgb = ColorUtils.hexToRgb(color);
+            if (!rgb) return;
+            const distance = Math.hypot(rgb.r - target.r, rgb.g - target.g, rgb.b - target.b);
+            if (distance <= SearchQuery.COLOR_TOLERANCE) {
+                best = Math.max(best, 5 * (1 - distance / (SearchQuery.COLOR_TOLERANCE * 2)));
+            }
+        });
+        return best;
+    }
+
+    // Lowercased values of the brief's text, link and choice fields
+    customTextValues(brief) {
+        return this.fields
+            .filter(field => ['text', 'url', 'select'].includes(field.type))
+            .map(field => (brief.customFields || {})[field.key])
+            .filter(value => !BriefSchema.isEmpty(value))
+            .map(value => String(value).toLowerCase());
+    }
+
+    // budget:>5000, budget:<=100 or budget:2500
+    static matchesNumber(value, number) {
+        const [, operator, target] = /^(>=|<=|>|<|=)?(.*)$/.exec(value);
+        const limit = Number(target);
+        if (target === '' || Number.isNaN(limit)) return false;
+        switch (operator) {
+            case '>': return number > limit;
+            case '>=': return number >= limit;
+            case '<': return number < limit;
+            case '<=': return number <= limit;
+            default: return number === limit;
+        }
+    }
+
+    // created:>2026-01-01, created:<=2026-03-31 or a prefix like created:2026-02
+    // ISO dates compare correctly as plain strings
+    static matchesDate(value, createdAt) {
+        const [, operator, date] = /^(>=|<=|>|<|=)?(.*)$/.exec(value);
+        const day = String(createdAt).slice(0, 10);
+        switch (operator) {
+            case '>': return day > date;
+            case '>=': return day >= date;
+            case '<': return day < date;
+            case '<=': return day <= date;
+            default: return day.startsWith(date);
+        }
+    }
+
+    // Regex matching any positive word or phrase, or null if there are none
+    getHighlightPattern() {
+        const words = this.terms
+            .filter(term => !term.field && !term.negate)
+            .map(term => term.value)
+            .sort((a, b) => b.length - a.length);
+        if (words.length === 0) return null;
+        return new RegExp(words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'gi');
+    }
+
+    // Escaped HTML with matched words and phrases wrapped in <mark>
+    highlight(text) {
+        const pattern = this.getHighlightPattern();
+        if (!pattern) {
+            return escapeHTML(text);
+        }
+
+        let html = '';
+        let lastIndex = 0;
+        String(text).replace(pattern, (match, offset) => {
+            html += escapeHTML(text.slice(lastIndex, offset)) + `<mark>${escapeHTML(match)}</mark>`;
+            lastIndex = offset + match.length;
+            return match;
+        });
+        return html + escapeHTML(text.slice(lastIndex));
+    }
+
+    // Same as highlight() but for already-rendered HTML (e.g. Markdown) -
+    // only text nodes are touched, so markup stays intact
+    highlightElement(root) {
+        const pattern = this.getHighlightPattern();
+        if (!pattern) return;
+
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+        while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+        textNodes.forEach(node => {
+            const text = node.nodeValue;
+            const fragment = document.createDocumentFragment();
+            let lastIndex = 0;
+            text.replace(pattern, (match, offset) => {
+                fragment.append(text.slice(lastIndex, offset));
+                const mark = document.createElement('mark');
+                mark.textContent = match;
+                fragment.appendChild(mark);
+                lastIndex = offset + match.length;
+                return match;
+            });
+            if (lastIndex === 0) return;
+            fragment.append(text.slice(lastIndex));
+            node.replaceWith(fragment);
+        });
+    }
+}
+
+// ================================
+// FUZZY MATCHING
+// ================================
+
+// Command palette matching: the query's characters must appear in order, e.g. "tgth"
+// finds "Toggle Theme". Runs of consecutive characters and word starts score higher
+class FuzzyMatch {
+    // { score, indices } where indices are the matched positions in text, or null
+    static match(query, text) {
+        const needle = String(query).toLowerCase().replace(/\s+/g, '');
+        const haystack = String(text).toLowerCase();
+        if (!needle) {
+            return { score: 0, indices: [] };
+        }
+
+        const indices = [];
+        let score = 0;
+        let from = 0;
+        for (const char of needle) {
+            const index = haystack.indexOf(char, from);
+            if (index === -1) return null;
+
+            score += 1;
+            if (indices.length > 0 && index === indices[indices.length - 1] + 1) score += 3;
+            if (index === 0 || /[\s\-_/]/.test(haystack[index - 1])) score += 2;
+            indices.push(index);
+            from = index + 1;
+        }
+        // Tighter matches and shorter texts win ties
+        return { score: score - (indices[indices.length - 1] - indices[0]) / 10 - haystack.length / 100, indices };
+    }
+
+    // Escaped text with the matched characters wrapped in <mark>
+    static highlight(text, indices) {
+        const matched = new Set(indices);
+        return String(text).split('').map((char, index) => (matched.has(index)
+            ? `<mark>${escapeHTML(char)}</mark>`
+            : escapeHTML(char))).join('');
+    }
+}
+
+// ================================
+// PALETTE EXPORT
+// ================================
+
+// Turns a palette ({ name, hex } swatches) into design-token files
+class PaletteExport {
+    static get FORMATS() {
+        return {
+            css: { label: 'CSS custom properties', extension: 'css', type: 'text/css' },
+            scss: { label: 'SCSS variables', extension: 'scss', type: 'text/x-scss' },
+            tailwind: { label: 'Tailwind config', extension: 'config.js', type: 'text/javascript' },
+            tokens: { label: 'Design tokens (W3C JSON)', extension: 'tokens.json', type: 'application/json' },
+            ase: { label: 'Adobe swatch exchange (.ase)', extension: 'ase', type: 'application/octet-stream', binary: true },
+            gpl: { label: 'GIMP palette (.gpl)', extension: 'gpl', type: 'text/plain' }
+        };
+    }
+
+    // "Primary Brand" -> "primary-brand" - safe as a CSS/SCSS/JS/token name
+    static tokenName(text, fallback) {
+        const name = String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return /^[a-z]/.test(name) ? name : fallback;
+    }
+
+    // Brief -> swatches named after the color roles, duplicates numbered
+    static swatches(brief, names = []) {
+        const used = new Set();
+        return brief.colors
+            .map((color, index) => ({ hex: safeColor(color), index }))
+            .filter(swatch => swatch.hex)
+            .map(({ hex, index }) => {
+                const base = PaletteExport.tokenName(
+                    names[index] || brief.colorRoles[index] || defaultColorRole(index),
+                    `color-${index + 1}`
+                );
+                let name = base;
+                for (let n = 2; used.has(name); n++) name = `${base}-${n}`;
+                used.add(name);
+                return { name, hex };
+            });
+    }
+
+    static toCSS(swatches) {
+        return `:root {\n${swatches.map(({ name, hex }) => `  --${name}: ${hex};`).join('\n')}\n}\n`;
+    }
+
+    static toSCSS(swatches) {
+        return swatches.map(({ name, hex }) => `$${name}: ${hex};`).join('\n') + '\n';
+    }
+
+    static toTailwind(swatches) {
+        const colors = swatches
+            .map(({ name, hex }) => `        ${/^[a-z][a-z0-9]*$/.test(name) ? name : `'${name}'`}: '${hex}',`)
+            .join('\n');
+        return `module.exports = {\n  theme: {\n    extend: {\n      colors: {\n${colors}\n      }\n    }\n  }\n};\n`;
+    }
+
+    // https://design-tokens.github.io/community-group/format/
+    static toDesignTokens(swatches, title) {
+        const color = {};
+        swatches.forEach(({ name, hex }) => {
+            color[name] = { $type: 'color', $value: hex };
+        });
+        return JSON.stringify({ $description: `${title} palette`, color }, null, 2) + '\n';
+    }
+
+    static toGPL(swatches, title) {
+        const lines = [
+            'GIMP Palette',
+            `Name: ${String(title).replace(/[\r\n]+/g, ' ')}`,
+            `Columns: ${swatches.length}`,
+            '#'
+        ];
+        swatches.forEach(({ name, hex }) => {
+            const { r, g, b } = ColorUtils.hexToRgb(hex);
+            lines.push(`${String(r).padStart(3)} ${String(g).padStart(3)} ${String(b).padStart(3)}\t${name}`);
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    // Adobe Swatch Exchange 1.0 - big-endian: "ASEF", version, block count,
+    // then one color entry per swatch (UTF-16 name, RGB as floats 0-1)
+    static toASE(swatches) {
+        const blocks = swatches.map(({ name }) => 2 + (name.length + 1) * 2 + 4 + 12 + 2);
+        const size = 12 + blocks.reduce((sum, length) => sum + 6 + length, 0);
+        const view = new DataView(new ArrayBuffer(size));
+        let offset = 0;
+        const uint16 = (value) => {
+            view.setUint16(offset, value);
+            offset += 2;
+        };
+        const uint32 = (value) => {
+            view.setUint32(offset, value);
+            offset += 4;
+        };
+        const float32 = (value) => {
+            view.setFloat32(offset, value);
+            offset += 4;
+        };
+        const ascii = (text) => [...text].forEach(char => {
+            view.setUint8(offset, char.charCodeAt(0));
+            offset += 1;
+        });
+
+        ascii('ASEF');
+        uint16(1);
+        uint16(0);
+        uint32(swatches.length);
+        swatches.forEach(({ name, hex }, i) => {
+            const { r, g, b } = ColorUtils.hexToRgb(hex);
+            uint16(0x0001);
+            uint32(blocks[i]);
+            uint16(name.length + 1);
+            [...name].forEach(char => uint16(char.charCodeAt(0)));
+            uint16(0);
+            ascii('RGB ');
+            [r, g, b].forEach(value => float32(value / 255));
+            // Color type 2 = normal (not global or spot)
+            uint16(2);
+        });
+        return view.buffer;
+    }
+
+    // Format key -> file contents (string, or ArrayBuffer for binary formats)
+    static render(format, swatches, title) {
+        switch (format) {
+            case 'css': return PaletteExport.toCSS(swatches);
+            case 'scss': return PaletteExport.toSCSS(swatches);
+            case 'tailwind': return PaletteExport.toTailwind(swatches);
+            case 'tokens': return PaletteExport.toDesignTokens(swatches, title);
+            case 'ase': return PaletteExport.toASE(swatches);
+            case 'gpl': return PaletteExport.toGPL(swatches, title);
+            default: throw new Error(`Unknown palette format "${format}"`);
+        }
+    }
+}
+
+// ================================
+// VERSION HISTORY
+// ================================
+
+// Per-brief timeline of saved versions, kept in this browser's IndexedDB.
+// Each version is its own record, indexed on briefId
+class BriefHistory {
+    constructor(dbName = 'briefVault_history', storeName = 'versions', limit = 50) {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        // Oldest versions are dropped past this many per brief
+        this.limit = limit;
+        this.dbPromise = null;
+    }
+
+    // Fields kept in each version. Thumbnails are large base64 images that
+    // aren't worth a copy per save, so they're left out
+    static get FIELDS() {
+        return MERGE_FIELDS.filter(field => field !== 'thumbnail');
+    }
+
+    _open() {
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('Version history needs IndexedDB, which this browser does not support'));
+        }
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.storeName, { keyPath: 'key', autoIncrement: true });
+                    store.createIndex('briefId', 'briefId');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Run requests inside one transaction and resolve with the returned one's
+    // result once it commits. Requests queued from onsuccess handlers count too
+    async _run(mode, callback) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = callback(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    // Versions for one brief, oldest first
+    async get(id) {
+        return this._run('readonly', store => store.index('briefId').getAll(id));
+    }
+
+    // Record a save - the version before it is kept too the first time
+    async record(previous, updated) {
+        await this._run('readwrite', store => {
+            const keys = store.index('briefId').getAllKeys(updated.id);
+            keys.onsuccess = () => {
+                const versions = [];
+                if (keys.result.length === 0 && previous) {
+                    versions.push(this._snapshot(previous));
+                }
+                versions.push(this._snapshot(updated));
+                versions.forEach(version => store.add(version));
+                const excess = keys.result.length + versions.length - this.limit;
+                keys.result.slice(0, Math.max(0, excess)).forEach(key => store.delete(key));
+            };
+        });
+    }
+
+    async remove(ids) {
+        await this._run('readwrite', store => {
+            ids.forEach(id => {
+                const keys = store.index('briefId').getAllKeys(id);
+                keys.onsuccess = () => keys.result.forEach(key => store.delete(key));
+            });
+        });
+    }
+
+    // Keep a brief's versions when it comes back from the trash under a new id
+    async rename(fromId, toId) {
+        await this._run('readwrite', store => {
+            const versions = store.index('briefId').getAll(fromId);
+            versions.onsuccess = () => versions.result.forEach(version => store.put({ ...version, briefId: toId }));
+        });
+    }
+
+    // Ids of the attached files any recorded version refers to - restoring it needs them
+    async attachmentIds() {
+        const versions = await this._run('readonly', store => store.getAll());
+        return new Set(versions.flatMap(version => (version.data.attachments || []).map(file => file.id)));
+    }
+
+    _snapshot(brief) {
+        const data = {};
+        BriefHistory.FIELDS.forEach(field => {
+            data[field] = brief[field];
+        });
+        return {
+            briefId: brief.id,
+            revision: brief.revision,
+            savedAt: brief.updatedAt,
+            data
+        };
+    }
+}
+
+// ================================
+// TRASH
+// ================================
+
+// Deleted briefs wait here, in this browser's IndexedDB, until they're restored,
+// the trash is emptied or the retention period runs out. Entries are { brief, deletedAt }
+class BriefTrash {
+    constructor(dbName = 'briefVault_trash', storeName = 'entries', retentionDays = 30) {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.retentionDays = retentionDays;
+        this.dbPromise = null;
+    }
+
+    _open() {
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('The trash needs IndexedDB, which this browser does not support'));
+        }
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.storeName, { keyPath: 'brief.id' });
+                    store.createIndex('deletedAt', 'deletedAt');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Run requests inside one transaction and resolve with the last one's result
+    async _run(mode, callback) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = callback(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    // Newest first
+    async getAll() {
+        const entries = await this._run('readonly', store => store.index('deletedAt').getAll());
+        return entries.reverse();
+    }
+
+    async get(id) {
+        return (await this._run('readonly', store => store.get(id))) || null;
+    }
+
+    async add(brief) {
+        await this._run('readwrite', store => store.put({ brief: { ...brief }, deletedAt: new Date().toISOString() }));
+    }
+
+    async remove(ids) {
+        if (ids.length === 0) return;
+        await this._run('readwrite', store => ids.map(id => store.delete(id)).pop());
+    }
+
+    // When an entry is removed for good (ms timestamp)
+    expiresAt(entry) {
+        return Date.parse(entry.deletedAt) + this.retentionDays * 24 * 60 * 60 * 1000;
+    }
+
+    async expired(now = Date.now()) {
+        return (await this.getAll()).filter(entry => this.expiresAt(entry) <= now);
+    }
+}
+
+// ================================
+// UNDO / REDO
+// ================================
+
+// App-wide undo history - entries are { label, undo, redo } with async undo/redo functions
+class UndoStack {
+    constructor(limit = 50) {
+        this.limit = limit;
+        this.done = [];
+        this.undone = [];
+        // Called whenever either stack changes (e.g. to update buttons)
+        this.onChange = null;
+    }
+
+    // A new action makes the redo history meaningless
+    push(entry) {
+        this.done = [...this.done, entry].slice(-this.limit);
+        this.undone = [];
+        this._changed();
+        return entry;
+    }
+
+    canUndo() {
+        return this.done.length > 0;
+    }
+
+    canRedo() {
+        return this.undone.length > 0;
+    }
+
+    // Pass an entry to undo only that one (e.g. from its toast) - newer actions must go first.
+    // An entry that fails is dropped, since the vault no longer matches what it recorded
+    async undo(entry = null) {
+        return this._move(this.done, this.undone, 'undo', entry);
+    }
+
+    async redo(entry = null) {
+        return this._move(this.undone, this.done, 'redo', entry);
+    }
+
+    async _move(from, to, direction, entry) {
+        const top = from[from.length - 1];
+        if (!top) return null;
+        if (entry && entry !== top) {
+            throw new Error(`Newer changes were made since - ${direction} those first`);
+        }
+
+        from.pop();
+        try {
+            await top[direction]();
+            to.push(top);
+            return top;
+        } finally {
+            this._changed();
+        }
+    }
+
+    _changed() {
+        if (this.onChange) this.onChange();
+    }
+}
+
+// ================================
+// IMPORT / EXPORT
+// ================================
+
+// Converts briefs to and from JSON, CSV and Markdown files
+class VaultTransfer {
+    static get CSV_COLUMNS() {
+        return ['id', 'title', 'description', 'status', 'statusHistory', 'colors', 'colorRoles', 'tags', 'references', 'customFields', 'createdAt', 'updatedAt'];
+    }
+
+    // List fields are joined with | inside a single CSV cell
+    static get LIST_SEPARATOR() {
+        return '|';
+    }
+
+    static toJSON(briefs) {
+        return JSON.stringify({
+            app: 'briefVault',
+            exportedAt: new Date().toISOString(),
+            briefs
+        }, null, 2);
+    }
+
+    static toCSV(briefs) {
+        const rows = briefs.map(brief => VaultTransfer.CSV_COLUMNS.map(column => {
+            const value = brief[column];
+            // References have titles and notes, so the cell holds them as JSON - custom fields and status history too
+            if (column === 'references') return JSON.stringify(value);
+            if (column === 'customFields') return Object.keys(value || {}).length > 0 ? JSON.stringify(value) : '';
+            if (column === 'statusHistory') return (value || []).length > 0 ? JSON.stringify(value) : '';
+            return Array.isArray(value) ? value.join(VaultTransfer.LIST_SEPARATOR) : (value ?? '');
+        }));
+        return [VaultTransfer.CSV_COLUMNS, ...rows]
+            .map(row => row.map(cell => VaultTransfer.csvCell(cell)).join(','))
+            .join('\r\n');
+    }
+
+    // Quote cells containing commas, quotes or line breaks
+    static csvCell(value) {
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // One self-contained Markdown document for a brief - fields are the BriefSchema
+    // field list, workflow the StatusWorkflow that names the status
+    static toMarkdown(brief, fields = [], workflow = new StatusWorkflow()) {
+        const details = fields
+            .map(field => ({ field, text: BriefSchema.formatValue(field, (brief.customFields || {})[field.key]) }))
+            .filter(({ text }) => text !== '')
+            .map(({ field, text }) => `**${field.label}:** ${text}  `);
+        const lines = [
+            `# ${brief.title}`,
+            '',
+            `**Status:** ${workflow.label(brief.status)}  `,
+            `**Tags:** ${brief.tags.length > 0 ? brief.tags.join(', ') : '—'}  `,
+            ...details,
+            `**Created:** ${new Date(brief.createdAt).toLocaleDateString()}`,
+            '',
+            brief.description || '_No description provided._'
+        ];
+        if (brief.colors.length > 0) {
+            lines.push('', '## Color Palette', '', ...brief.colors.map((color, index) =>
+                `- \`${color}\` — ${brief.colorRoles[index] || defaultColorRole(index)}`));
+        }
+        if (brief.references.length > 0) {
+            lines.push('', '## References', '', ...brief.references.map(ref =>
+                `- ${ref.title && ref.url ? `[${ref.title}](<${ref.url}>)` : ref.title || `<${ref.url}>`} _(${ref.category})_${ref.note ? ` — ${ref.note}` : ''}`));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    // File name safe slug, e.g. "Mobile App UI" -> "mobile-app-ui"
+    static slugify(text) {
+        return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'brief';
+    }
+
+    // Parse an uploaded file into { row, data } records
+    static parse(fileName, text) {
+        if (/\.json$/i.test(fileName)) {
+            return VaultTransfer.parseJSON(text);
+        }
+        if (/\.csv$/i.test(fileName)) {
+            return VaultTransfer.parseCSV(text);
+        }
+        throw new Error('Unsupported file type - choose a .json or .csv export');
+    }
+
+    // Accepts our export format or a plain array of briefs
+    static parseJSON(text) {
+        const parsed = JSON.parse(text);
+        const items = Array.isArray(parsed) ? parsed : parsed && parsed.briefs;
+        if (!Array.isArray(items)) {
+            throw new Error('JSON file must contain a list of briefs');
+        }
+        return items.map((data, index) => ({ row: index + 1, data }));
+    }
+
+    static parseCSV(text) {
+        const [header, ...rows] = VaultTransfer.readCSV(text);
+        if (!header || !header.includes('title')) {
+            throw new Error('CSV file needs a header row with at least a "title" column');
+        }
+        return rows
+            .map((cells, index) => {
+                const data = {};
+                header.forEach((column, i) => {
+                    const value = cells[i] ?? '';
+                    if (column === 'references' && value.trim().startsWith('[')) {
+                        data.references = VaultTransfer.parseReferences(value);
+                    } else if (['customFields', 'statusHistory'].includes(column) && value.trim() !== '') {
+                        data[column] = VaultTransfer.parseJSONCell(value);
+                    } else if (['colors', 'colorRoles', 'tags', 'references'].includes(column)) {
+                        data[column] = value
+                            .split(VaultTransfer.LIST_SEPARATOR)
+                            .map(item => item.trim())
+                            .filter(item => item.length > 0);
+                    } else if (value !== '') {
+                        data[column] = value;
+                    }
+                });
+                // Row numbers match the spreadsheet (header is row 1)
+                return { row: index + 2, data, blank: cells.every(cell => cell.trim() === '') };
+            })
+            .filter(record => !record.blank)
+            .map(({ row, data }) => ({ row, data }));
+    }
+
+    // JSON references cell - a broken one is kept as text so validation reports it
+    static parseReferences(value) {
+        try {
+            const parsed = JSON.parse(value);
+            return Array.isArray(parsed) ? parsed : [value];
+        } catch (error) {
+            return [value];
+        }
+    }
+
+    // JSON cell (custom fields, status history) - a broken one is kept as text so validation reports it
+    static parseJSONCell(value) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return value;
+        }
+    }
+
+    // Minimal RFC 4180 reader - handles quoted cells, escaped quotes and line breaks
+    static readCSV(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    // Split records into valid briefs and per-row error reports - custom field
+    // values are checked against the given BriefSchema field list, statuses
+    // against the workflow's ids
+    static validate(records, fields = [], statuses = null) {
+        const valid = [];
+        const errors = [];
+        records.forEach(({ row, data }) => {
+            if (!data || typeof data !== 'object') {
+                errors.push({ row, messages: ['Not a brief object'] });
+                return;
+            }
+            const brief = new Brief(data);
+            const messages = brief.validate(fields, statuses);
+            if (messages.length > 0) {
+                errors.push({ row, title: data.title, messages });
+            } else {
+                valid.push({ row, brief });
+            }
+        });
+        return { valid, errors };
+    }
+}
+
+// ================================
+// TEMPLATE LIBRARY
+// ================================
+
+// User-editable brief templates, kept on this device in display order.
+// Text fields can contain {{placeholders}} that are filled in when applied.
+class TemplateLibrary {
+    constructor(key = 'briefVault_templates') {
+        this.key = key;
+    }
+
+    // Built-in templates - the library starts with these until it's edited
+    static get DEFAULTS() {
+        return [
+            {
+                id: 'builtin-website',
+                icon: '🌐',
+                title: 'Website Redesign',
+                description: 'Perfect for portfolio, landing pages, or corporate sites. Click to pre-fill form!',
+                colors: ['#00f0ff', '#8b5cf6', '#1a1f3a', '#ffffff', '#ff0080'],
+                tags: ['web', 'redesign', 'UI/UX'],
+                references: ['https://awwwards.com', 'https://dribbble.com'],
+                status: 'idea'
+            },
+            {
+                id: 'builtin-mobile-app',
+                icon: '📱',
+                title: 'Mobile App UI',
+                description: 'For iOS/Android app interface design. Click to use this template!',
+                colors: ['#00ff9f', '#00f0ff', '#8b5cf6', '#ffd700', '#ff0080'],
+                tags: ['mobile', 'app', 'UI'],
+                references: ['https://mobbin.com', 'https://pttrns.com'],
+                status: 'idea'
+            },
+            {
+                id: 'builtin-brand-identity',
+                icon: '🎨',
+                title: 'Brand Identity',
+                description: 'Logo, colors, typography for a brand. Click to customize!',
+                colors: ['#ff0080', '#ffd700', '#00f0ff', '#1a1f3a', '#ffffff'],
+                tags: ['branding', 'logo', 'identity'],
+                references: ['https://behance.net', 'https://logopond.com'],
+                status: 'idea'
+            },
+            {
+                id: 'builtin-dashboard',
+                icon: '📊',
+                title: 'Dashboard Design',
+                description: 'Analytics, admin panels, data visualization. Click to start!',
+                colors: ['#8b5cf6', '#00f0ff', '#00ff9f', '#ffd700', '#1a1f3a'],
+                tags: ['dashboard', 'analytics', 'data-viz'],
+                references: ['https://dribbble.com/tags/dashboard'],
+                status: 'idea'
+            },
+            {
+                id: 'builtin-e-commerce',
+                icon: '🛍️',
+                title: 'E-Commerce Site',
+                description: 'Online store, product pages, checkout flow. Ready to customize!',
+                colors: ['#00ff9f', '#ffd700', '#ff0080', '#1a1f3a', '#ffffff'],
+                tags: ['e-commerce', 'shop', 'retail'],
+                references: ['https://commerce.shopify.com/c/ecommerce-design'],
+                status: 'idea'
+            },
+            {
+                id: 'builtin-gaming-ui',
+                icon: '🎮',
+                title: 'Gaming UI',
+                description: 'Game interface, HUD elements, menus. Click to edit!',
+                colors: ['#ff0080', '#00f0ff', '#ffd700', '#8b5cf6', '#0a0e27'],
+                tags: ['gaming', 'HUD', 'UI'],
+                references: ['https://gameuidatabase.com'],
+                status: 'idea'
+            }
+        ];
+    }
+
+    // {{client}} or {{ launch-date }}
+    static get PLACEHOLDER_PATTERN() {
+        return /\{\{\s*([\w-]+)\s*\}\}/g;
+    }
+
+    // Just the template fields of a template or brief - no dates, files or thumbnail
+    static normalize(data) {
+        const brief = new Brief({ ...data, title: String(data.title ?? '').trim() });
+        return {
+            id: data.id || StorageAdapter.generateId(),
+            icon: String(data.icon || '📋'),
+            title: brief.title,
+            description: brief.description,
+            colors: brief.colors,
+            colorRoles: brief.colorRoles,
+            tags: brief.tags,
+            references: brief.references,
+            status: brief.status
+        };
+    }
+
+    // Like Brief.validate, but reference URLs may contain placeholders
+    static validate(template, statuses = null) {
+        if (!template || typeof template !== 'object') {
+            return ['Not a template object'];
+        }
+        const errors = new Brief({ ...template, references: [] }).validate([], statuses);
+        if (template.references !== undefined && !Array.isArray(template.references)) {
+            errors.push('references must be a list');
+        }
+        return errors;
+    }
+
+    // Placeholder names used anywhere in a template, in order of appearance
+    static placeholders(template) {
+        const names = [];
+        TemplateLibrary.textValues(template).forEach(text => {
+            for (const match of text.matchAll(TemplateLibrary.PLACEHOLDER_PATTERN)) {
+                if (!names.includes(match[1])) names.push(match[1]);
+            }
+        });
+        return names;
+    }
+
+    static textValues(template) {
+        return [
+            template.title,
+            template.description,
+            ...template.tags,
+            ...template.references.flatMap(ref => [ref.url, ref.title, ref.note])
+        ];
+    }
+
+    // Copy of the template with {{name}} replaced by values[name] (unknown names are left as-is)
+    static fill(template, values) {
+        const replace = (text) => text.replace(TemplateLibrary.PLACEHOLDER_PATTERN,
+            (match, name) => (name in values ? values[name] : match));
+        return {
+            ...template,
+            title: replace(template.title),
+            description: replace(template.description),
+            tags: template.tags.map(replace),
+            references: template.references.map(ref => ({
+                ...ref,
+                url: replace(ref.url),
+                title: replace(ref.title),
+                note: replace(ref.note)
+            }))
+        };
+    }
+
+    getAll() {
+        return this._read() || TemplateLibrary.DEFAULTS.map(template => TemplateLibrary.normalize(template));
+    }
+
+    // Add a template, or replace the one with the same id in place
+    save(template) {
+        const saved = TemplateLibrary.normalize(template);
+        const templates = this.getAll();
+        const index = templates.findIndex(item => item.id === saved.id);
+        if (index === -1) {
+            templates.push(saved);
+        } else {
+            templates[index] = saved;
+        }
+        this._write(templates);
+        return saved;
+    }
+
+    remove(id) {
+        this._write(this.getAll().filter(template => template.id !== id));
+    }
+
+    // Move a template up (-1) or down (+1) in the list
+    move(id, offset) {
+        const templates = this.getAll();
+        const index = templates.findIndex(template => template.id === id);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= templates.length) return;
+        [templates[index], templates[target]] = [templates[target], templates[index]];
+        this._write(templates);
+    }
+
+    toJSON() {
+        return JSON.stringify({
+            app: 'briefVault',
+            kind: 'templates',
+            exportedAt: new Date().toISOString(),
+            templates: this.getAll()
+        }, null, 2);
+    }
+
+    // Accepts our export format or a plain array. Matching ids are replaced,
+    // everything else is appended. Returns { added, updated, errors }
+    // statuses - the workflow's ids, checked against each template's status
+    import(text, statuses = null) {
+        const parsed = JSON.parse(text);
+        const items = Array.isArray(parsed) ? parsed : parsed && parsed.templates;
+        if (!Array.isArray(items)) {
+            throw new Error('JSON file must contain a list of templates');
+        }
+
+        const templates = this.getAll();
+        const summary = { added: 0, updated: 0, errors: [] };
+        items.forEach((item, index) => {
+            const messages = TemplateLibrary.validate(item, statuses);
+            if (messages.length > 0) {
+                summary.errors.push({ row: index + 1, title: item && item.title, messages });
+                return;
+            }
+            const template = TemplateLibrary.normalize(item);
+            const existing = templates.findIndex(other => other.id === template.id);
+            if (existing === -1) {
+                templates.push(template);
+                summary.added++;
+            } else {
+                templates[existing] = template;
+                summary.updated++;
+            }
+        });
+        this._write(templates);
+        return summary;
+    }
+
+    // null until the library is first changed
+    _read() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.key));
+            return Array.isArray(saved) ? saved.map(template => TemplateLibrary.normalize(template)) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    _write(templates) {
+        localStorage.setItem(this.key, JSON.stringify(templates));
+    }
+}
+
+// ================================
+// ATTACHMENTS
+// ================================
+
+// File blobs attached to briefs, kept in this browser's IndexedDB whatever the
+// brief backend is. Briefs only carry { id, name, type, size } for each file.
+class AttachmentStore {
+    constructor(dbName = 'briefVault_files', storeName = 'attachments') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    static get MAX_FILE_SIZE() {
+        return 10 * 1024 * 1024;
+    }
+
+    static get MAX_PER_BRIEF() {
+        return 20;
+    }
+
+    // Total across every brief on this device
+    static get MAX_TOTAL_SIZE() {
+        return 200 * 1024 * 1024;
+    }
+
+    // 1536 -> "1.5 KB"
+    static formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    _open() {
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('File attachments need IndexedDB, which this browser does not support'));
+        }
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Run requests inside one transaction and resolve with the last one's result
+    async _run(mode, callback) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = callback(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    // Throws a readable error if adding these files would break a limit
+    async checkLimits(files, attachedCount = 0, pendingBytes = 0) {
+        const tooBig = files.find(file => file.size > AttachmentStore.MAX_FILE_SIZE);
+        if (tooBig) {
+            throw new Error(`"${tooBig.name}" is ${AttachmentStore.formatSize(tooBig.size)} - files can be at most ${AttachmentStore.formatSize(AttachmentStore.MAX_FILE_SIZE)}`);
+        }
+        if (attachedCount + files.length > AttachmentStore.MAX_PER_BRIEF) {
+            throw new Error(`A brief can have at most ${AttachmentStore.MAX_PER_BRIEF} attachments`);
+        }
+        const adding = files.reduce((sum, file) => sum + file.size, pendingBytes);
+        if (await this.usage() + adding > AttachmentStore.MAX_TOTAL_SIZE) {
+            throw new Error(`Not enough attachment space left (${AttachmentStore.formatSize(AttachmentStore.MAX_TOTAL_SIZE)} in total) - remove some files first`);
+        }
+    }
+
+    // Store a file and return the metadata to keep on the brief
+    async add(file) {
+        const meta = {
+            id: StorageAdapter.generateId(),
+            name: file.name,
+            type: file.type || 'application/octet-stream',
+            size: file.size
+        };
+        await this._run('readwrite', store => store.add({ ...meta, blob: file, createdAt: new Date().toISOString() }));
+        return meta;
+    }
+
+    // Stored record with its blob, or undefined if the file is gone
+    async get(id) {
+        return this._run('readonly', store => store.get(id));
+    }
+
+    // Bytes used by every stored file
+    async usage() {
+        const records = await this._run('readonly', store => store.getAll());
+        return records.reduce((sum, record) => sum + record.size, 0);
+    }
+
+    // Delete the given files, except those in keep (a Set of ids still referred to)
+    async removeUnused(ids, keep) {
+        const unused = [...new Set(ids)].filter(id => !keep.has(id));
+        if (unused.length > 0) {
+            await this._run('readwrite', store => unused.map(id => store.delete(id)).pop());
+        }
+        return unused.length;
+    }
+
+    async clear() {
+        await this._run('readwrite', store => store.clear());
+    }
+}
+
+// ================================
+// STORAGE ADAPTERS
+// ================================
+
+// Base adapter - every storage backend implements the same CRUD methods
+// so APIService can swap between them at runtime
+class StorageAdapter {
+    async create(briefData) {
+        throw new Error(`${this.constructor.name} does not implement create()`);
+    }
+
+    async getAll() {
+        throw new Error(`${this.constructor.name} does not implement getAll()`);
+    }
+
+    async getById(id) {
+        throw new Error(`${this.constructor.name} does not implement getById()`);
+    }
+
+    async update(id, briefData) {
+        throw new Error(`${this.constructor.name} does not implement update()`);
+    }
+
+    async delete(id) {
+        throw new Error(`${this.constructor.name} does not implement delete()`);
+    }
+
+    // Remove every brief
+    async clear() {
+        const briefs = await this.getAll();
+        for (const brief of briefs) {
+            await this.delete(brief.id);
+        }
+    }
+
+    // Generate an ID for backends that don't assign their own
+    static generateId() {
+        return Date.now().toString() + Math.random().toString(36).slice(2, 6);
+    }
+}
+
+// Local Storage - works offline with no setup (default)
+class LocalStorageAdapter extends StorageAdapter {
+    constructor(key = 'briefVault_briefs') {
+        super();
+        this.key = key;
+    }
+
+    async create(briefData) {
+        const briefs = this._read();
+        const newBrief = new Brief({
+            ...briefData,
+            id: StorageAdapter.generateId()
+        });
+        briefs.push(newBrief);
+        this._write(briefs);
+        return newBrief;
+    }
+
+    async getAll() {
+        return this._read();
+    }
+
+    async getById(id) {
+        return this._read().find(brief => brief.id === id);
+    }
+
+    async update(id, briefData) {
+        const briefs = this._read();
+        const index = briefs.findIndex(brief => brief.id === id);
+        if (index === -1) {
+            throw new Error('Brief not found');
+        }
+        briefs[index] = new Brief({ ...briefData, id });
+        this._write(briefs);
+        return briefs[index];
+    }
+
+    async delete(id) {
+        const briefs = this._read();
+        this._write(briefs.filter(brief => brief.id !== id));
+        return true;
+    }
+
+    async clear() {
+        localStorage.removeItem(this.key);
+    }
+
+    _read() {
+        const data = localStorage.getItem(this.key);
+        return data ? JSON.parse(data).map(item => new Brief(item)) : [];
+    }
+
+    _write(briefs) {
+        localStorage.setItem(this.key, JSON.stringify(briefs));
+    }
+}
+
+// IndexedDB - browser database, no ~5MB quota like Local Storage
+// Briefs are stored one record each, so updates don't rewrite the whole vault
+class IndexedDBAdapter extends StorageAdapter {
+    constructor(dbName = 'briefVault', storeName = 'briefs', legacyKey = 'briefVault_briefs') {
+        super();
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.legacyKey = legacyKey;
+        this.dbVersion = 2;
+        this.dbPromise = null;
+    }
+
+    // Open the database once and reuse the connection
+    _open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.dbVersion);
+
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    const store = db.objectStoreNames.contains(this.storeName)
+                        ? request.transaction.objectStore(this.storeName)
+                        : db.createObjectStore(this.storeName, { keyPath: 'id' });
+
+                    // Version 2 - indexes for filtering and sorting
+                    if (event.oldVersion < 2) {
+                        store.createIndex('status', 'status');
+                        store.createIndex('tags', 'tags', { multiEntry: true });
+                        store.createIndex('createdAt', 'createdAt');
+                        this._migrateLegacy(store);
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // One-time copy of briefs saved by the old Local Storage version. The key is
+    // left in place because the Local Storage backend still reads it.
+    _migrateLegacy(store) {
+        let legacy;
+        try {
+            legacy = JSON.parse(localStorage.getItem(this.legacyKey));
+        } catch (error) {
+            console.error('Skipping migration, stored briefs are not valid JSON:', error);
+            return;
+        }
+        if (!Array.isArray(legacy)) return;
+
+        legacy.forEach(item => {
+            const brief = new Brief({ ...item, id: item.id || StorageAdapter.generateId() });
+            store.put({ ...brief });
+        });
+    }
+
+    // Run a single request inside a transaction and resolve with its result
+    async _run(mode, callback) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = callback(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    async create(briefData) {
+        const newBrief = new Brief({
+            ...briefData,
+            id: StorageAdapter.generateId()
+        });
+        await this._run('readwrite', store => store.add({ ...newBrief }));
+        return newBrief;
+    }
+
+    // Read through the createdAt index so briefs come back oldest first
+    async getAll() {
+        const records = await this._run('readonly', store => store.index('createdAt').getAll());
+        return records.map(item => new Brief(item));
+    }
+
+    // Look up briefs by an indexed field, e.g. getByIndex('tags', 'mobile')
+    async getByIndex(indexName, value) {
+        const records = await this._run('readonly', store => store.index(indexName).getAll(value));
+        return records.map(item => new Brief(item));
+    }
+
+    async getById(id) {
+        const record = await this._run('readonly', store => store.get(id));
+        return record ? new Brief(record) : undefined;
+    }
+
+    async update(id, briefData) {
+        const updated = new Brief({ ...briefData, id });
+        const db = await this._open();
+
+        // Check and write in one transaction so a concurrent delete can't resurrect the brief
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, 'readwrite');
+            const store = tx.objectStore(this.storeName);
+            const lookup = store.get(id);
+            lookup.onsuccess = () => {
+                if (!lookup.result) {
+                    tx.abort();
+                    reject(new Error('Brief not found'));
+                    return;
+                }
+                store.put({ ...updated });
+            };
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+        return updated;
+    }
+
+    async delete(id) {
+        await this._run('readwrite', store => store.delete(id));
+        return true;
+    }
+
+    async clear() {
+        await this._run('readwrite', store => store.clear());
+    }
+}
+
+// Generic REST API - crudcrud.com or any server that speaks
+// GET/POST /briefs and GET/PUT/DELETE /briefs/:id
+class RestAdapter extends StorageAdapter {
+    constructor(baseURL) {
+        super();
+        this.baseURL = baseURL.replace(/\/+$/, '');
+    }
+
+    async create(briefData) {
+        const response = await fetch(this.baseURL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(this._toPayload(briefData))
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await this._parse(response);
+        return this._toBrief({ ...this._toPayload(briefData), ...data });
+    }
+
+    async getAll() {
+        const response = await fetch(this.baseURL);
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await this._parse(response);
+        // Transform API data to Brief objects
+        return (data || []).map(item => this._toBrief(item));
+    }
+
+    async getById(id) {
+        const response = await fetch(`${this.baseURL}/${encodeURIComponent(id)}`);
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await this._parse(response);
+        return this._toBrief(data);
+    }
+
+    async update(id, briefData) {
+        // Following API best practices - ID in URL, not in body
+        const response = await fetch(`${this.baseURL}/${encodeURIComponent(id)}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(this._toPayload(briefData))
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        // Some APIs (crudcrud included) answer PUT with an empty body
+        const data = await this._parse(response);
+        return this._toBrief({ ...briefData, ...data, id });
+    }
+
+    async delete(id) {
+        const response = await fetch(`${this.baseURL}/${encodeURIComponent(id)}`, {
+            method: 'DELETE'
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        return true;
+    }
+
+    async _parse(response) {
+        const text = await response.text();
+        return text ? JSON.parse(text) : null;
+    }
+
+    // crudcrud rejects bodies that contain its own _id field
+    _toPayload(briefData) {
+        const { id, _id, ...payload } = briefData;
+        return payload;
+    }
+
+    // crudcrud (and Mongo-style APIs) return the key as _id
+    _toBrief(data) {
+        return new Brief({ ...data, id: data.id || data._id });
+    }
+}
+
+// Offline-first wrapper around a remote adapter
+// Every write lands in a local cache right away and is recorded in a
+// write-ahead queue, which is replayed against the server in order.
+// If the network is down the queue just waits for the next attempt.
+class OfflineSyncAdapter extends StorageAdapter {
+    constructor(remote, storageKey) {
+        super();
+        this.remote = remote;
+        this.storageKey = storageKey;
+        this.state = this._load();
+        this.flushing = null;
+        this.onChange = null;
+    }
+
+    // fetch() rejects with a TypeError when the request never reached the server
+    static isNetworkError(error) {
+        return error instanceof TypeError || navigator.onLine === false;
+    }
+
+    static isTempId(id) {
+        return typeof id === 'string' && id.startsWith('local_');
+    }
+
+    async create(briefData) {
+        const brief = new Brief({
+            ...briefData,
+            id: `local_${StorageAdapter.generateId()}`
+        });
+        this._cachePut(brief);
+        const op = this._enqueue('create', brief.id, { ...brief });
+        await this._flushFor(op);
+        return this._cached(this.resolveId(brief.id)) || brief;
+    }
+
+    async getAll() {
+        await this.flush();
+
+        // Nothing pending - the server is the source of truth again
+        if (this.state.queue.length === 0) {
+            try {
+                const briefs = await this.remote.getAll();
+                this.state.cache = briefs.map(brief => ({ ...brief }));
+                this._save();
+            } catch (error) {
+                if (!OfflineSyncAdapter.isNetworkError(error)) throw error;
+            }
+        }
+
+        return this.state.cache.map(item => new Brief(item));
+    }
+
+    async getById(id) {
+        id = this.resolveId(id);
+        if (!OfflineSyncAdapter.isTempId(id) && this.getSyncState(id) === 'synced') {
+            try {
+                return await this.remote.getById(id);
+            } catch (error) {
+                if (!OfflineSyncAdapter.isNetworkError(error)) throw error;
+            }
+        }
+        return this._cached(id);
+    }
+
+    async update(id, briefData) {
+        id = this.resolveId(id);
+        const brief = new Brief({ ...briefData, id });
+        this._cachePut(brief);
+        const op = this._enqueue('update', id, { ...brief });
+        await this._flushFor(op);
+        return this._cached(this.resolveId(id)) || brief;
+    }
+
+    async delete(id) {
+        id = this.resolveId(id);
+        this.state.cache = this.state.cache.filter(brief => brief.id !== id);
+
+        // Never reached the server - just forget the queued operations
+        if (OfflineSyncAdapter.isTempId(id)) {
+            this.state.queue = this.state.queue.filter(op => op.id !== id);
+            this._save();
+            return true;
+        }
+
+        const op = this._enqueue('delete', id, null);
+        await this._flushFor(op);
+        return true;
+    }
+
+    // 'pending' while any queued operation still targets the brief
+    getSyncState(id) {
+        id = this.resolveId(id);
+        return this.state.queue.some(op => op.id === id) ? 'pending' : 'synced';
+    }
+
+    getPendingCount() {
+        return this.state.queue.length;
+    }
+
+    // Temporary local IDs are swapped for the server's _id once created
+    resolveId(id) {
+        return this.state.idMap[id] || id;
+    }
+
+    // Replay queued operations in order. Only one replay runs at a time.
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this._replay().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async _replay() {
+        const rejected = [];
+        let processed = 0;
+
+        while (this.state.queue.length > 0) {
+            const op = this.state.queue[0];
+            try {
+                await this._send(op);
+            } catch (error) {
+                // Still offline - keep this and everything after it queued
+                if (OfflineSyncAdapter.isNetworkError(error)) break;
+                // The server answered but refused - drop it so the queue isn't stuck
+                console.error(`Sync ${op.type} rejected by server:`, error);
+                rejected.push({ op, error });
+            }
+            this.state.queue.shift();
+            this._save();
+            processed++;
+        }
+
+        // Rejected writes leave the cache ahead of the server, so re-read it
+        if (rejected.length > 0 && this.state.queue.length === 0) {
+            try {
+                const briefs = await this.remote.getAll();
+                this.state.cache = briefs.map(brief => ({ ...brief }));
+                this._save();
+            } catch (error) {
+                console.error('Failed to refresh cache after sync:', error);
+            }
+        }
+
+        if (processed > 0 && this.onChange) {
+            this.onChange();
+        }
+        return rejected;
+    }
+
+    async _send(op) {
+        const id = this.resolveId(op.id);
+        if (op.type === 'create') {
+            const saved = await this.remote.create(op.data);
+            this._mapId(op.id, saved.id);
+        } else if (op.type === 'update') {
+            await this.remote.update(id, op.data);
+        } else if (op.type === 'delete') {
+            await this.remote.delete(id);
+        }
+    }
+
+    // Write-through: surface a server rejection of this operation to the caller
+    async _flushFor(op) {
+        const rejected = await this.flush();
+        const failure = rejected.find(item => item.op.seq === op.seq);
+        if (failure) {
+            throw failure.error;
+        }
+    }
+
+    _enqueue(type, id, data) {
+        const op = {
+            seq: StorageAdapter.generateId(),
+            type,
+            id,
+            data,
+            queuedAt: new Date().toISOString()
+        };
+        this.state.queue.push(op);
+        this._save();
+        return op;
+    }
+
+    _mapId(tempId, serverId) {
+        this.state.idMap[tempId] = serverId;
+        this.state.cache.forEach(brief => {
+            if (brief.id === tempId) brief.id = serverId;
+        });
+        this.state.queue.forEach(op => {
+            if (op.id === tempId) op.id = serverId;
+        });
+        this._save();
+    }
+
+    _cached(id) {
+        const brief = this.state.cache.find(item => item.id === id);
+        return brief ? new Brief(brief) : undefined;
+    }
+
+    _cachePut(brief) {
+        const index = this.state.cache.findIndex(item => item.id === brief.id);
+        if (index === -1) {
+            this.state.cache.push({ ...brief });
+        } else {
+            this.state.cache[index] = { ...brief };
+        }
+        this._save();
+    }
+
+    _load() {
+        const empty = { cache: [], queue: [], idMap: {} };
+        try {
+            return { ...empty, ...JSON.parse(localStorage.getItem(this.storageKey)) };
+        } catch (error) {
+            return empty;
+        }
+    }
+
+    _save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.state));
+    }
+}
+
+// In-memory - nothing persists, handy for demos and testing
+class MemoryAdapter extends StorageAdapter {
+    constructor() {
+        super();
+        this.briefs = [];
+    }
+
+    async create(briefData) {
+        const newBrief = new Brief({
+            ...briefData,
+            id: StorageAdapter.generateId()
+        });
+        this.briefs.push(newBrief);
+        return new Brief(newBrief);
+    }
+
+    async getAll() {
+        return this.briefs.map(brief => new Brief(brief));
+    }
+
+    async getById(id) {
+        const brief = this.briefs.find(brief => brief.id === id);
+        return brief ? new Brief(brief) : undefined;
+    }
+
+    async update(id, briefData) {
+        const index = this.briefs.findIndex(brief => brief.id === id);
+        if (index === -1) {
+            throw new Error('Brief not found');
+        }
+        this.briefs[index] = new Brief({ ...briefData, id });
+        return new Brief(this.briefs[index]);
+    }
+
+    async delete(id) {
+        this.briefs = this.briefs.filter(brief => brief.id !== id);
+        return true;
+    }
+
+    async clear() {
+        this.briefs = [];
+    }
+}
+
+// Available backends, shown in the settings panel
+const STORAGE_BACKENDS = {
+    local: {
+        label: 'Local Storage',
+        create: () => new LocalStorageAdapter()
+    },
+    indexeddb: {
+        label: 'IndexedDB',
+        create: () => new IndexedDBAdapter()
+    },
+    rest: {
+        label: 'REST API (works offline)',
+        // Each endpoint keeps its own queue so edits never replay to the wrong server
+        create: (settings) => new OfflineSyncAdapter(
+            new RestAdapter(settings.restURL),
+            `briefVault_sync:${settings.restURL}`
+        )
+    },
+    memory: {
+        label: 'In-Memory (not saved)',
+        create: () => new MemoryAdapter()
+    }
+};
+
+// API Service for CRUD operations with error handling
+// Delegates to whichever storage adapter is active
+class APIService {
+    constructor() {
+        // DEFAULT REST ENDPOINT
+        // Get your free endpoint at: https://crudcrud.com
+        // Copy the URL they give you and add '/briefs' to the end
+        // Example: 'https://crudcrud.com/api/abc123xyz/briefs'
+        // The endpoint expires after 24 hours of inactivity (free tier)
+        //
+        // You don't need to edit this file to switch backends - open the
+        // ⚙ settings panel, pick "REST API" and paste your endpoint there.
+        this.defaultRestURL = 'https://crudcrud.com/api/f4e6d8c2b1a04f3e9d7c6b5a4e3d2c1b/briefs';
+
+        this.settingsKey = 'briefVault_storage';
+        this.settings = this.loadSettings();
+        this.adapter = this.createAdapter(this.settings);
+
+        // Every update is recorded so it can be diffed and restored
+        this.history = new BriefHistory();
+
+        // Attached files stay on this device, whichever backend holds the briefs
+        this.attachments = new AttachmentStore();
+
+        // Statuses and the moves allowed between them
+        this.workflow = new StatusWorkflow();
+
+        // Deleted briefs, kept until restored or emptied
+        this.trash = new BriefTrash();
+
+        // Called after queued offline edits reach the server
+        this.onSyncChange = null;
+
+        // Called with the error when a saved edit couldn't be added to the history
+        this.onHistoryError = null;
+        window.addEventListener('online', () => this.syncPending());
+    }
+
+    // Storage settings persist in Local Storage regardless of backend
+    // IndexedDB is the default wherever the browser supports it
+    loadSettings() {
+        const defaults = {
+            backend: typeof indexedDB !== 'undefined' ? 'indexeddb' : 'local',
+            restURL: this.defaultRestURL
+        };
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.settingsKey));
+            return { ...defaults, ...saved };
+        } catch (error) {
+            return defaults;
+        }
+    }
+
+    createAdapter(settings) {
+        const backend = STORAGE_BACKENDS[settings.backend] || STORAGE_BACKENDS.local;
+        const adapter = backend.create(settings);
+        adapter.onChange = () => {
+            if (this.onSyncChange) this.onSyncChange();
+        };
+        return adapter;
+    }
+
+    // Switch backend at runtime (called from the settings panel)
+    setBackend(settings) {
+        if (!STORAGE_BACKENDS[settings.backend]) {
+            throw new Error(`Unknown storage backend: ${settings.backend}`);
+        }
+        if (settings.backend === 'rest' && !/^https?:\/\//i.test(settings.restURL || '')) {
+            throw new Error('REST API URL must start with http:// or https://');
+        }
+
+        this.settings = { ...this.settings, ...settings };
+        this.adapter = this.createAdapter(this.settings);
+        localStorage.setItem(this.settingsKey, JSON.stringify(this.settings));
+    }
+
+    // CREATE operation
+    async createBrief(briefData) {
+        try {
+            const now = new Date().toISOString();
+            const status = briefData.status || this.workflow.initialStatus();
+            // Imported briefs bring their own status history
+            const statusHistory = briefData.statusHistory && briefData.statusHistory.length > 0
+                ? briefData.statusHistory
+                : [{ status, at: briefData.createdAt || now }];
+            return await this.adapter.create({ ...briefData, status, statusHistory, revision: 1, updatedAt: now });
+        } catch (error) {
+            console.error('Error creating brief:', error);
+            throw error;
+        }
+    }
+
+    // CREATE - a copy of a brief, starting a status history of its own. Attached
+    // files are shared, and stay stored while either brief refers to them
+    async duplicateBrief(id) {
+        const brief = await this.getBriefById(id);
+        if (!brief) {
+            throw new Error('Brief not found');
+        }
+        const { id: sourceId, createdAt, updatedAt, revision, statusHistory, ...data } = brief;
+        return this.createBrief({ ...data, title: `${brief.title} (copy)` });
+    }
+
+    // READ operation - get all briefs
+    async getAllBriefs() {
+        try {
+            const briefs = await this.adapter.getAll();
+            const initialStatus = this.workflow.initialStatus();
+            return briefs.map(brief => this.withStatus(brief, initialStatus));
+        } catch (error) {
+            console.error('Error fetching briefs:', error);
+            throw error;
+        }
+    }
+
+    // Briefs saved before statuses could be configured may have none - they're in the first one
+    withStatus(brief, initialStatus = this.workflow.initialStatus()) {
+        if (!brief.status) {
+            brief.status = initialStatus;
+        }
+        return brief;
+    }
+
+    // READ operation - get single brief
+    async getBriefById(id) {
+        try {
+            const brief = await this.adapter.getById(id);
+            return brief && this.withStatus(brief);
+        } catch (error) {
+            console.error('Error fetching brief:', error);
+            throw error;
+        }
+    }
+
+    // UPDATE operation
+    // Pass baseRevision (the revision the editor started from) to refuse
+    // overwriting someone else's newer save - throws a ConflictError instead.
+    // ignoreWorkflow lets undo put a brief back in a status it couldn't normally return to
+    async updateBrief(id, briefData, { baseRevision, ignoreWorkflow = false } = {}) {
+        try {
+            const current = await this.adapter.getById(id);
+            if (!current) {
+                throw new Error('Brief not found');
+            }
+            if (baseRevision !== undefined && current.revision !== baseRevision) {
+                throw new ConflictError(current);
+            }
+
+            // Status changes must follow the workflow and are timestamped
+            const now = new Date().toISOString();
+            const status = briefData.status || current.status || this.workflow.initialStatus();
+            if (!ignoreWorkflow && !this.workflow.canTransition(current.status, status)) {
+                throw new TransitionError(this.workflow.label(current.status), this.workflow.label(status));
+            }
+            // Undo hands back the status history as it was, so putting a status back
+            // isn't logged as another move
+            let statusHistory = current.statusHistory;
+            if (ignoreWorkflow && Array.isArray(briefData.statusHistory)) {
+                statusHistory = briefData.statusHistory;
+            } else if (status !== current.status) {
+                statusHistory = [...current.statusHistory, { status, at: now }];
+            }
+
+            const updated = await this.adapter.update(id, {
+                ...current,
+                ...briefData,
+                id,
+                status,
+                statusHistory,
+                createdAt: current.createdAt,
+                revision: current.revision + 1,
+                updatedAt: now
+            });
+            // The edit is saved at this point - a history write that fails (e.g. storage
+            // full) must not report it as failed, or a retry runs into a ConflictError
+            try {
+                await this.history.record(current, updated);
+            } catch (error) {
+                console.warn('Could not record version history:', error);
+                if (this.onHistoryError) this.onHistoryError(error);
+            }
+            return updated;
+        } catch (error) {
+            if (error instanceof ConflictError) {
+                console.warn('Edit conflict on brief:', id);
+            } else if (error instanceof TransitionError) {
+                console.warn('Status change not allowed:', error.message);
+            } else {
+                console.error('Error updating brief:', error);
+            }
+            throw error;
+        }
+    }
+
+    // DELETE operation - the brief moves to the trash, keeping its history and files
+    async deleteBrief(id) {
+        try {
+            const brief = await this.adapter.getById(id);
+            if (!brief) {
+                throw new Error('Brief not found');
+            }
+            // Into the trash first - if that write fails (e.g. storage full) the brief stays put
+            await this.trash.add(brief);
+            try {
+                await this.adapter.delete(id);
+            } catch (error) {
+                await this.trash.remove([id]);
+                throw error;
+            }
+            return brief;
+        } catch (error) {
+            console.error('Error deleting brief:', error);
+            throw error;
+        }
+    }
+
+    // Put a trashed brief back into the active backend. Returns it - most
+    // backends assign a new id, so its history is moved across
+    async restoreBrief(id) {
+        try {
+            const entry = await this.trash.get(id);
+            if (!entry) {
+                throw new Error('That brief is no longer in the trash');
+            }
+            const restored = await this.adapter.create({ ...entry.brief });
+            await this.trash.remove([id]);
+            if (restored.id !== id) {
+                await this.history.rename(id, restored.id);
+            }
+            return restored;
+        } catch (error) {
+            console.error('Error restoring brief:', error);
+            throw error;
+        }
+    }
+
+    // Run one operation per brief in turn. A failure doesn't stop the rest -
+    // it's reported with the brief's id. onProgress(done, total) after each
+    async runBatch(ids, operation, onProgress = () => {}) {
+        const results = { succeeded: [], failed: [] };
+        for (const [index, id] of ids.entries()) {
+            try {
+                results.succeeded.push(await operation(id));
+            } catch (error) {
+                results.failed.push({ id, error });
+            }
+            onProgress(index + 1, ids.length);
+        }
+        return results;
+    }
+
+    // Delete trashed briefs for good, with their history and the files only they used
+    async purgeBriefs(ids) {
+        const fileIds = [];
+        for (const { brief } of await this.trash.getAll()) {
+            if (!ids.includes(brief.id)) continue;
+            const versions = await this.history.get(brief.id);
+            [...(brief.attachments || []), ...versions.flatMap(version => version.data.attachments || [])]
+                .forEach(file => fileIds.push(file.id));
+        }
+        await this.trash.remove(ids);
+        await this.history.remove(ids);
+        await this.cleanupAttachments(fileIds);
+    }
+
+    async emptyTrash() {
+        const ids = (await this.trash.getAll()).map(entry => entry.brief.id);
+        await this.purgeBriefs(ids);
+        return ids.length;
+    }
+
+    // Runs on startup - briefs past the retention period are purged
+    async purgeExpiredTrash() {
+        const ids = (await this.trash.expired()).map(entry => entry.brief.id);
+        if (ids.length > 0) {
+            await this.purgeBriefs(ids);
+        }
+        return ids.length;
+    }
+
+    // Delete files that belonged to removed briefs, unless a brief in this backend
+    // or the trash, or a version in the history, still refers to them. Every
+    // backend on the device shares the file store, so only these ids are looked
+    // at. Never fails the caller - at worst a file is left behind
+    async cleanupAttachments(fileIds) {
+        if (fileIds.length === 0) return 0;
+        try {
+            const briefs = [...await this.getAllBriefs(), ...(await this.trash.getAll()).map(entry => entry.brief)];
+            const keep = new Set([
+                ...briefs.flatMap(brief => (brief.attachments || []).map(file => file.id)),
+                ...await this.history.attachmentIds()
+            ]);
+            return await this.attachments.removeUnused(fileIds, keep);
+        } catch (error) {
+            console.warn('Skipped attachment cleanup:', error);
+            return 0;
+        }
+    }
+
+    // Sync state for a brief - 'pending', 'synced', or null for local-only backends
+    getSyncState(id) {
+        return this.adapter.getSyncState ? this.adapter.getSyncState(id) : null;
+    }
+
+    // Replay any queued offline edits (runs automatically when back online)
+    async syncPending() {
+        if (!this.adapter.flush) return;
+        try {
+            await this.adapter.flush();
+        } catch (error) {
+            console.error('Error syncing pending changes:', error);
+        }
+    }
+
+    // Remove every brief from the active backend
+    async clearAll() {
+        try {
+            const fileIds = (await this.adapter.getAll()).flatMap(brief => (brief.attachments || []).map(file => file.id));
+            await this.adapter.clear();
+            await this.cleanupAttachments(fileIds);
+        } catch (error) {
+            console.error('Error clearing briefs:', error);
+            throw error;
+        }
+    }
+}
+
+// ================================
+// APP CONTROLLER
+// ================================
+
+class BriefVaultApp {
+    constructor() {
+        this.api = new APIService();
+        this.briefs = [];
+        // Parsed search box query, used for highlighting matches
+        this.activeQuery = new SearchQuery('');
+        // Briefs currently shown after search/filter
+        this.visibleBriefs = [];
+        // 'grid' or 'board'
+        this.currentView = localStorage.getItem('briefVault_view') || 'grid';
+        // Active hash route - { name: 'vault' } or { name: 'brief', id }
+        this.currentRoute = { name: 'vault' };
+        // Filter hash to return to when leaving a brief's detail page
+        this.lastVaultHash = '';
+        this.currentEditId = null;
+        // Brief as it was when the edit modal opened (for conflict detection)
+        this.editBaseline = null;
+        // Attachments shown in the brief form, and picked files not stored yet
+        this.formAttachments = [];
+        this.pendingFiles = [];
+        // Files stored for a save that hit a conflict - dropped with the form unless a brief kept them
+        this.unsavedAttachmentIds = [];
+        // Saved templates, and what the brief form is editing when it holds one
+        this.templateLibrary = new TemplateLibrary();
+        this.templateEdit = null;
+        // Template waiting for its {{placeholder}} values
+        this.pendingTemplate = null;
+        // Attachment id -> object URL, created once per session
+        this.attachmentURLs = new Map();
+        // The team's custom brief fields
+        this.schema = new BriefSchema();
+        // Statuses being edited in the workflow dialog, and the card being dragged on the board
+        this.workflowDraft = null;
+        this.draggedBriefId = null;
+        // App-wide undo/redo of brief changes
+        this.undoStack = new UndoStack();
+        this.undoStack.onChange = () => this.updateUndoButtons();
+        // Old id -> new id of briefs restored from the trash, so undo entries still find them
+        this.restoredIds = new Map();
+        // Toasts waiting for room on screen, and the open confirm/prompt dialog
+        this.toastQueue = [];
+        this.maxToasts = 3;
+        this.dialogState = null;
+        // Select mode - ids of the checked cards, and the last one clicked for shift-click ranges
+        this.selecting = false;
+        this.selectedIds = new Set();
+        this.lastSelectedId = null;
+        this.bulkRunning = false;
+        // Tags picked in the tag cloud (briefs must have all of them), and the tags in the brief form
+        this.activeTags = [];
+        this.formTags = [];
+        // Command palette results, the highlighted one, and where focus goes back to on close
+        this.commandResults = [];
+        this.commandIndex = 0;
+        this.commandReturnFocus = null;
+        
+        // Re-render once queued offline edits reach the server
+        this.api.onSyncChange = () => this.loadBriefs();
+        this.api.onHistoryError = (error) => {
+            this.showToast(`Saved, but this version couldn't be added to the history - ${error.message}`, { type: 'error' });
+        };
+
+        this.initElements();
+        this.attachEventListeners();
+        this.renderStatusOptions();
+        this.renderSortOptions();
+        this.renderSavedViews();
+        this.handleRoute();
+        this.initTheme();
+        this.checkFirstVisit();
+        // Expired trash is purged before the first render - a failure just waits for the next visit
+        this.api.purgeExpiredTrash()
+            .catch(error => console.warn('Skipped purging expired trash:', error))
+            .then(() => this.loadBriefs());
+    }
+
+    initElements() {
+        // Modal elements
+        this.modal = document.getElementById('briefModal');
+        this.briefForm = document.getElementById('briefForm');
+        this.modalTitle = document.getElementById('modalTitle');
+        this.submitBtnText = document.getElementById('submitBtnText');
+        this.descriptionInput = document.getElementById('briefDescription');
+        this.descriptionPreview = document.getElementById('descriptionPreview');
+        this.paletteEditor = document.getElementById('paletteEditor');
+        this.templateIconInput = document.getElementById('templateIcon');
+        this.referenceEditor = document.getElementById('referenceEditor');
+        this.addReferenceBtn = document.getElementById('addReferenceBtn');
+        this.attachmentInput = document.getElementById('attachmentInput');
+        this.attachmentList = document.getElementById('attachmentList');
+        this.storageMeter = document.getElementById('storageMeter');
+        this.storageMeterText = document.getElementById('storageMeterText');
+        this.addColorBtn = document.getElementById('addColorBtn');
+        this.harmonySchemeSelect = document.getElementById('harmonyScheme');
+        this.generateHarmonyBtn = document.getElementById('generateHarmonyBtn');
+        this.contrastMatrix = document.getElementById('contrastMatrix');
+        this.imageDrop = document.getElementById('imageDrop');
+        this.paletteImageInput = document.getElementById('paletteImage');
+        this.paletteThumbnail = document.getElementById('paletteThumbnail');
+        this.removeThumbnailBtn = document.getElementById('removeThumbnailBtn');
+        
+        // Button elements
+        this.newBriefBtn = document.getElementById('newBriefBtn');
+        this.closeModalBtn = document.getElementById('closeModal');
+        this.cancelBtn = document.getElementById('cancelBtn');
+        
+        // Grid and state elements
+        this.briefsGrid = document.getElementById('briefsGrid');
+        this.briefsBoard = document.getElementById('briefsBoard');
+        this.viewButtons = document.querySelectorAll('.view-btn');
+        this.controls = document.querySelector('.controls');
+
+        // Tag cloud, tag manager and the form's tag chips
+        this.tagCloud = document.getElementById('tagCloud');
+        this.tagCloudList = document.getElementById('tagCloudList');
+        this.clearTagFilterBtn = document.getElementById('clearTagFilterBtn');
+        this.manageTagsBtn = document.getElementById('manageTagsBtn');
+        this.tagModal = document.getElementById('tagModal');
+        this.tagManagerList = document.getElementById('tagManagerList');
+        this.closeTagsBtn = document.getElementById('closeTags');
+        this.tagEditor = document.getElementById('tagEditor');
+        this.tagChips = document.getElementById('tagChips');
+        this.tagInput = document.getElementById('tags');
+        this.tagSuggestions = document.getElementById('tagSuggestions');
+
+        // Bulk selection elements
+        this.selectModeBtn = document.getElementById('selectModeBtn');
+        this.bulkBar = document.getElementById('bulkBar');
+        this.bulkCount = document.getElementById('bulkCount');
+        this.selectAllBtn = document.getElementById('selectAllBtn');
+        this.clearSelectionBtn = document.getElementById('clearSelectionBtn');
+        this.bulkActions = document.getElementById('bulkActions');
+        this.bulkStatusSelect = document.getElementById('bulkStatus');
+        this.bulkTagInput = document.getElementById('bulkTagInput');
+        this.bulkAddTagBtn = document.getElementById('bulkAddTagBtn');
+        this.bulkRemoveTagBtn = document.getElementById('bulkRemoveTagBtn');
+        this.bulkExportSelect = document.getElementById('bulkExportFormat');
+        this.bulkDuplicateBtn = document.getElementById('bulkDuplicateBtn');
+        this.bulkDeleteBtn = document.getElementById('bulkDeleteBtn');
+        this.bulkProgress = document.getElementById('bulkProgress');
+        this.bulkProgressBar = document.getElementById('bulkProgressBar');
+        this.bulkProgressText = document.getElementById('bulkProgressText');
+        this.bulkReport = document.getElementById('bulkReport');
+
+        // Brief detail page elements
+        this.briefDetail = document.getElementById('briefDetail');
+        this.detailContent = document.getElementById('detailContent');
+        this.detailBackBtn = document.getElementById('detailBack');
+        this.emptyState = document.getElementById('emptyState');
+        
+        // Filter/search elements
+        this.searchInput = document.getElementById('searchInput');
+        this.statusFilter = document.getElementById('statusFilter');
+        this.sortSelect = document.getElementById('sortSelect');
+        this.savedViewSelect = document.getElementById('savedViewSelect');
+        this.saveViewBtn = document.getElementById('saveViewBtn');
+        this.deleteViewBtn = document.getElementById('deleteViewBtn');
+        
+        // New feature elements
+        this.themeToggle = document.getElementById('themeToggle');
+        this.seedDataBtn = document.getElementById('seedDataBtn');
+        this.seedDataBtnEmpty = document.getElementById('seedDataBtnEmpty');
+        this.newBriefBtnEmpty = document.getElementById('newBriefBtnEmpty');
+        this.showTutorialBtn = document.getElementById('showTutorialBtn');
+        
+        // Tutorial elements
+        this.tutorialOverlay = document.getElementById('tutorialOverlay');
+        this.tutorialNext = document.getElementById('tutorialNext');
+        this.tutorialPrev = document.getElementById('tutorialPrev');
+        this.tutorialSkip = document.getElementById('tutorialSkip');
+        this.tutorialFinish = document.getElementById('tutorialFinish');
+        this.currentTutorialStep = 0;
+        
+        // Templates elements
+        this.templatesBtn = document.getElementById('templatesBtn');
+        this.templatesBtnEmpty = document.getElementById('templatesBtnEmpty');
+        this.templatesModal = document.getElementById('templatesModal');
+        this.newTemplateBtn = document.getElementById('newTemplateBtn');
+        this.exportTemplatesBtn = document.getElementById('exportTemplatesBtn');
+        this.templateImportInput = document.getElementById('templateImport');
+        this.placeholderModal = document.getElementById('placeholderModal');
+        this.placeholderForm = document.getElementById('placeholderForm');
+        this.placeholderTitle = document.getElementById('placeholderTitle');
+        this.placeholderFields = document.getElementById('placeholderFields');
+        this.closePlaceholderBtn = document.getElementById('closePlaceholder');
+        this.cancelPlaceholderBtn = document.getElementById('cancelPlaceholder');
+        this.closeTemplates = document.getElementById('closeTemplates');
+        this.templatesGrid = document.getElementById('templatesGrid');
+
+        // Import/export elements
+        this.transferBtn = document.getElementById('transferBtn');
+        this.transferModal = document.getElementById('transferModal');
+        this.paletteModal = document.getElementById('paletteModal');
+        this.paletteTitle = document.getElementById('paletteTitle');
+        this.paletteTokens = document.getElementById('paletteTokens');
+        this.paletteFormatSelect = document.getElementById('paletteFormat');
+        this.palettePreview = document.getElementById('palettePreview');
+        this.closePaletteBtn = document.getElementById('closePalette');
+        this.copyPaletteBtn = document.getElementById('copyPaletteBtn');
+        this.downloadPaletteBtn = document.getElementById('downloadPaletteBtn');
+        this.closeTransferBtn = document.getElementById('closeTransfer');
+        this.exportForm = document.getElementById('exportForm');
+        this.importForm = document.getElementById('importForm');
+        this.importFile = document.getElementById('importFile');
+        this.importReport = document.getElementById('importReport');
+        this.exportFilteredCount = document.getElementById('exportFilteredCount');
+
+        // Version history elements
+        this.historyModal = document.getElementById('historyModal');
+        this.historyTitle = document.getElementById('historyTitle');
+        this.historyTimeline = document.getElementById('historyTimeline');
+        this.closeHistoryBtn = document.getElementById('closeHistory');
+
+        // Merge conflict elements
+        this.mergeModal = document.getElementById('mergeModal');
+        this.mergeFields = document.getElementById('mergeFields');
+        this.mergeSaveBtn = document.getElementById('mergeSave');
+        this.mergeCancelBtn = document.getElementById('mergeCancel');
+
+        // Storage settings elements
+        this.settingsBtn = document.getElementById('settingsBtn');
+        this.settingsModal = document.getElementById('settingsModal');
+        this.settingsForm = document.getElementById('settingsForm');
+        this.closeSettingsBtn = document.getElementById('closeSettings');
+        this.cancelSettingsBtn = document.getElementById('cancelSettings');
+        this.storageBackendSelect = document.getElementById('storageBackend');
+        this.restURLInput = document.getElementById('restURL');
+        this.restURLGroup = document.getElementById('restURLGroup');
+
+        // Custom fields elements
+        this.schemaBtn = document.getElementById('schemaBtn');
+        this.schemaModal = document.getElementById('schemaModal');
+        this.schemaForm = document.getElementById('schemaForm');
+        this.schemaFieldList = document.getElementById('schemaFields');
+        this.addSchemaFieldBtn = document.getElementById('addSchemaFieldBtn');
+        this.closeSchemaBtn = document.getElementById('closeSchema');
+        this.cancelSchemaBtn = document.getElementById('cancelSchema');
+        this.customFieldsGroup = document.getElementById('customFieldsGroup');
+        this.customFieldsContainer = document.getElementById('customFields');
+
+        // Status workflow elements
+        this.statusSelect = document.getElementById('status');
+        this.workflowBtn = document.getElementById('workflowBtn');
+        this.workflowModal = document.getElementById('workflowModal');
+        this.workflowForm = document.getElementById('workflowForm');
+        this.workflowStatusList = document.getElementById('workflowStatuses');
+        this.workflowTransitions = document.getElementById('workflowTransitions');
+        this.addStatusBtn = document.getElementById('addStatusBtn');
+        this.closeWorkflowBtn = document.getElementById('closeWorkflow');
+        this.cancelWorkflowBtn = document.getElementById('cancelWorkflow');
+
+        // Undo/redo and trash elements
+        this.undoBtn = document.getElementById('undoBtn');
+        this.redoBtn = document.getElementById('redoBtn');
+        this.trashBtn = document.getElementById('trashBtn');
+        this.trashCount = document.getElementById('trashCount');
+        this.trashModal = document.getElementById('trashModal');
+        this.trashList = document.getElementById('trashList');
+        this.trashHint = document.getElementById('trashHint');
+        this.emptyTrashBtn = document.getElementById('emptyTrashBtn');
+        this.closeTrashBtn = document.getElementById('closeTrash');
+        this.toastRegion = document.getElementById('toastRegion');
+        this.dialogModal = document.getElementById('dialogModal');
+        this.dialogForm = document.getElementById('dialogForm');
+        this.dialogTitle = document.getElementById('dialogTitle');
+        this.dialogMessage = document.getElementById('dialogMessage');
+        this.dialogInputGroup = document.getElementById('dialogInputGroup');
+        this.dialogInputLabel = document.getElementById('dialogInputLabel');
+        this.dialogInput = document.getElementById('dialogInput');
+        this.dialogCancelBtn = document.getElementById('dialogCancel');
+        this.dialogConfirmBtn = document.getElementById('dialogConfirm');
+        this.commandPalette = document.getElementById('commandPalette');
+        this.commandInput = document.getElementById('commandInput');
+        this.commandList = document.getElementById('commandList');
+    }
+
+    attachEventListeners() {
+        // Modal controls
+        this.newBriefBtn.addEventListener('click', () => this.openCreateModal());
+        this.closeModalBtn.addEventListener('click', () => this.closeModal());
+        this.cancelBtn.addEventListener('click', () => this.closeModal());
+        
+        // Live Markdown preview
+        this.descriptionInput.addEventListener('input', () => this.updateDescriptionPreview());
+
+        // Palette editor
+        this.addColorBtn.addEventListener('click', () => {
+            this.addPaletteRow();
+            this.renderContrastMatrix();
+        });
+        this.generateHarmonyBtn.addEventListener('click', () => this.generateHarmony());
+
+        // Mood image drop zone - click, keyboard or drag a file in
+        this.imageDrop.addEventListener('click', () => this.paletteImageInput.click());
+        this.imageDrop.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.paletteImageInput.click();
+            }
+        });
+        this.imageDrop.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            this.imageDrop.classList.add('drag-over');
+        });
+        this.imageDrop.addEventListener('dragleave', () => this.imageDrop.classList.remove('drag-over'));
+        this.imageDrop.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.imageDrop.classList.remove('drag-over');
+            this.handlePaletteImage(e.dataTransfer.files[0]);
+        });
+        this.paletteImageInput.addEventListener('change', () => this.handlePaletteImage(this.paletteImageInput.files[0]));
+        this.removeThumbnailBtn.addEventListener('click', () => this.setFormThumbnail(null));
+
+        // Reference editor
+        this.addReferenceBtn.addEventListener('click', () => {
+            this.addReferenceRow().querySelector('.reference-url').focus();
+        });
+
+        // Attachments
+        this.attachmentInput.addEventListener('change', () => this.addPendingFiles([...this.attachmentInput.files]));
+
+        // Form submission for CREATE/UPDATE
+        this.briefForm.addEventListener('submit', (e) => this.handleFormSubmit(e));
+        
+        // Search and filter functionality
+        this.searchInput.addEventListener('input', () => this.filterBriefs());
+        this.statusFilter.addEventListener('change', () => this.filterBriefs());
+        this.sortSelect.addEventListener('change', () => this.filterBriefs());
+
+        // Saved views
+        this.savedViewSelect.addEventListener('change', () => this.applySavedView(this.savedViewSelect.value));
+        this.saveViewBtn.addEventListener('click', () => this.saveCurrentView());
+        this.deleteViewBtn.addEventListener('click', () => this.deleteSavedView());
+
+        // Hash routing - #/brief/:id shows a brief, anything else is the vault
+        window.addEventListener('hashchange', () => this.handleRoute());
+
+        // Brief detail page
+        this.detailBackBtn.addEventListener('click', () => this.navigateToVault());
+
+        // Grid/Board view toggle
+        this.viewButtons.forEach(button => {
+            button.classList.toggle('active', button.dataset.view === this.currentView);
+            button.addEventListener('click', () => this.setView(button.dataset.view));
+        });
+
+        // Tag cloud - each tag toggles a filter
+        this.tagCloudList.addEventListener('click', (e) => {
+            const facet = e.target.closest('.tag-facet');
+            if (facet) this.toggleTagFilter(facet.dataset.tag);
+        });
+        this.clearTagFilterBtn.addEventListener('click', () => {
+            this.activeTags = [];
+            this.filterBriefs();
+        });
+
+        // Tag manager
+        this.manageTagsBtn.addEventListener('click', () => this.openTagManager());
+        this.closeTagsBtn.addEventListener('click', () => this.closeTagManager());
+        this.tagModal.addEventListener('click', (e) => {
+            if (e.target === this.tagModal) this.closeTagManager();
+        });
+        this.tagManagerList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            const row = button.closest('.tag-manager-row');
+            const name = button.dataset.action === 'merge' ? button.dataset.into : row.querySelector('.tag-rename-input').value;
+            this.renameTag(row.dataset.tag, name);
+        });
+        this.tagManagerList.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target.classList.contains('tag-rename-input')) {
+                e.preventDefault();
+                this.renameTag(e.target.closest('.tag-manager-row').dataset.tag, e.target.value);
+            }
+        });
+
+        // Tag chips - Enter or a comma turns the text into a chip, Backspace on an empty input removes the last one
+        this.tagEditor.addEventListener('click', (e) => {
+            if (e.target === this.tagEditor || e.target === this.tagChips) this.tagInput.focus();
+        });
+        this.tagChips.addEventListener('click', (e) => {
+            const remove = e.target.closest('.tag-chip-remove');
+            if (remove) this.removeFormTag(remove.dataset.tag);
+        });
+        this.tagInput.addEventListener('keydown', (e) => {
+            if ((e.key === 'Enter' || e.key === ',') && this.tagInput.value.trim()) {
+                e.preventDefault();
+                this.addFormTags(this.tagInput.value);
+            } else if (e.key === 'Backspace' && !this.tagInput.value && this.formTags.length > 0) {
+                this.removeFormTag(this.formTags[this.formTags.length - 1]);
+            }
+        });
+        this.tagInput.addEventListener('input', (e) => {
+            // Pasted lists, or a suggestion picked from the list
+            const picked = e.inputType === undefined || e.inputType === 'insertReplacementText';
+            if (this.tagInput.value.includes(',') || (picked && this.getTagCounts().some(({ tag }) => tag === this.tagInput.value))) {
+                this.addFormTags(this.tagInput.value);
+            }
+        });
+
+        // Bulk selection - actions apply to the checked cards
+        this.selectModeBtn.addEventListener('click', () => this.setSelecting(!this.selecting));
+        this.selectAllBtn.addEventListener('click', () => this.selectAllShown());
+        this.clearSelectionBtn.addEventListener('click', () => this.clearSelection());
+        this.bulkStatusSelect.addEventListener('change', () => {
+            const status = this.bulkStatusSelect.value;
+            this.bulkStatusSelect.value = '';
+            if (status) this.bulkSetStatus(status);
+        });
+        this.bulkAddTagBtn.addEventListener('click', () => this.bulkChangeTag('add'));
+        this.bulkRemoveTagBtn.addEventListener('click', () => this.bulkChangeTag('remove'));
+        this.bulkTagInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.bulkChangeTag('add');
+            }
+        });
+        this.bulkExportSelect.addEventListener('change', () => {
+            const format = this.bulkExportSelect.value;
+            this.bulkExportSelect.value = '';
+            if (format) this.exportBriefs(this.getSelectedBriefs(), format);
+        });
+        this.bulkDuplicateBtn.addEventListener('click', () => this.bulkDuplicate());
+        this.bulkDeleteBtn.addEventListener('click', () => this.bulkDelete());
+        
+        // Close modal on outside click
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.closeModal();
+        });
+        
+        // Theme toggle
+        this.themeToggle.addEventListener('click', () => this.toggleTheme());
+        
+        // Seed data buttons
+        this.seedDataBtn.addEventListener('click', () => this.loadSeedData());
+        this.seedDataBtnEmpty.addEventListener('click', () => this.loadSeedData());
+        this.newBriefBtnEmpty.addEventListener('click', () => this.openCreateModal());
+        
+        // Tutorial navigation
+        this.tutorialNext.addEventListener('click', () => this.nextTutorialStep());
+        this.tutorialPrev.addEventListener('click', () => this.prevTutorialStep());
+        this.tutorialSkip.addEventListener('click', () => this.closeTutorial());
+        this.tutorialFinish.addEventListener('click', () => this.closeTutorial());
+        this.showTutorialBtn.addEventListener('click', () => this.showTutorial());
+        this.tutorialOverlay.addEventListener('click', (e) => {
+            if (e.target === this.tutorialOverlay) this.closeTutorial();
+        });
+        
+        // Tutorial quick action buttons
+        document.getElementById('tutorialDemoData')?.addEventListener('click', () => {
+            this.closeTutorial();
+            setTimeout(() => this.loadSeedData(), 300);
+        });
+        document.getElementById('tutorialTemplates')?.addEventListener('click', () => {
+            this.closeTutorial();
+            setTimeout(() => this.openTemplatesModal(), 300);
+        });
+        document.getElementById('tutorialNewBrief')?.addEventListener('click', () => {
+            this.closeTutorial();
+            setTimeout(() => this.openCreateModal(), 300);
+        });
+        
+        // Templates functionality
+        this.templatesBtn.addEventListener('click', () => this.openTemplatesModal());
+        this.templatesBtnEmpty.addEventListener('click', () => this.openTemplatesModal());
+        this.closeTemplates.addEventListener('click', () => this.closeTemplatesModal());
+        this.newTemplateBtn.addEventListener('click', () => this.openTemplateEditor());
+        this.exportTemplatesBtn.addEventListener('click', () => this.exportTemplates());
+        this.templateImportInput.addEventListener('change', () => this.importTemplates(this.templateImportInput.files[0]));
+        this.placeholderForm.addEventListener('submit', (e) => this.handlePlaceholderSubmit(e));
+        this.closePlaceholderBtn.addEventListener('click', () => this.closePlaceholderModal());
+        this.cancelPlaceholderBtn.addEventListener('click', () => this.closePlaceholderModal());
+        this.placeholderModal.addEventListener('click', (e) => {
+            if (e.target === this.placeholderModal) this.closePlaceholderModal();
+        });
+        this.templatesModal.addEventListener('click', (e) => {
+            if (e.target === this.templatesModal) this.closeTemplatesModal();
+        });
+
+        // Import/export
+        this.transferBtn.addEventListener('click', () => this.openTransferModal());
+        this.closeTransferBtn.addEventListener('click', () => this.closeTransferModal());
+        this.exportForm.addEventListener('submit', (e) => this.handleExport(e));
+        this.importForm.addEventListener('submit', (e) => this.handleImport(e));
+        this.transferModal.addEventListener('click', (e) => {
+            if (e.target === this.transferModal) this.closeTransferModal();
+        });
+
+        // Palette export controls
+        this.closePaletteBtn.addEventListener('click', () => this.closePaletteModal());
+        this.paletteFormatSelect.addEventListener('change', () => this.updatePalettePreview());
+        this.copyPaletteBtn.addEventListener('click', () => this.copyPalette());
+        this.downloadPaletteBtn.addEventListener('click', () => this.downloadPalette());
+        this.paletteModal.addEventListener('click', (e) => {
+            if (e.target === this.paletteModal) this.closePaletteModal();
+        });
+
+        // Version history
+        this.closeHistoryBtn.addEventListener('click', () => this.closeHistoryModal());
+        this.historyModal.addEventListener('click', (e) => {
+            if (e.target === this.historyModal) this.closeHistoryModal();
+        });
+
+        // Merge conflict dialog
+        this.mergeSaveBtn.addEventListener('click', () => this.saveMerge());
+        this.mergeCancelBtn.addEventListener('click', () => this.closeMergeModal());
+
+        // Storage settings
+        this.settingsBtn.addEventListener('click', () => this.openSettingsModal());
+        this.closeSettingsBtn.addEventListener('click', () => this.closeSettingsModal());
+        this.cancelSettingsBtn.addEventListener('click', () => this.closeSettingsModal());
+        this.settingsForm.addEventListener('submit', (e) => this.handleSettingsSubmit(e));
+        this.storageBackendSelect.addEventListener('change', () => this.updateSettingsFields());
+        this.settingsModal.addEventListener('click', (e) => {
+            if (e.target === this.settingsModal) this.closeSettingsModal();
+        });
+
+        // Custom fields editor
+        this.schemaBtn.addEventListener('click', () => this.openSchemaModal());
+        this.closeSchemaBtn.addEventListener('click', () => this.closeSchemaModal());
+        this.cancelSchemaBtn.addEventListener('click', () => this.closeSchemaModal());
+        this.addSchemaFieldBtn.addEventListener('click', () => this.addSchemaRow().querySelector('.schema-label').focus());
+        this.schemaForm.addEventListener('submit', (e) => this.handleSchemaSubmit(e));
+        this.schemaModal.addEventListener('click', (e) => {
+            if (e.target === this.schemaModal) this.closeSchemaModal();
+        });
+
+        // Status workflow editor
+        this.workflowBtn.addEventListener('click', () => this.openWorkflowModal());
+        this.closeWorkflowBtn.addEventListener('click', () => this.closeWorkflowModal());
+        this.cancelWorkflowBtn.addEventListener('click', () => this.closeWorkflowModal());
+        this.addStatusBtn.addEventListener('click', () => this.addWorkflowStatus());
+        this.workflowForm.addEventListener('submit', (e) => this.handleWorkflowSubmit(e));
+        this.workflowModal.addEventListener('click', (e) => {
+            if (e.target === this.workflowModal) this.closeWorkflowModal();
+        });
+
+        // Undo/redo - text fields keep their own Ctrl+Z
+        this.undoBtn.addEventListener('click', () => this.undo());
+        this.redoBtn.addEventListener('click', () => this.redo());
+        document.addEventListener('keydown', (e) => {
+            const editing = e.target instanceof Element && e.target.closest('input, textarea, select, [contenteditable="true"]');
+            if (!(e.ctrlKey || e.metaKey) || e.altKey || editing || this.dialogState) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+
+        // Trash
+        this.trashBtn.addEventListener('click', () => this.openTrashModal());
+        this.closeTrashBtn.addEventListener('click', () => this.closeTrashModal());
+        this.emptyTrashBtn.addEventListener('click', () => this.emptyTrash());
+        this.trashModal.addEventListener('click', (e) => {
+            if (e.target === this.trashModal) this.closeTrashModal();
+        });
+
+        // Confirm/prompt dialog - Escape or a click outside cancels, Tab stays inside
+        this.dialogForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.settleDialog(true);
+        });
+        this.dialogCancelBtn.addEventListener('click', () => this.settleDialog(false));
+        this.dialogModal.addEventListener('click', (e) => {
+            if (e.target === this.dialogModal) this.settleDialog(false);
+        });
+        this.dialogModal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.settleDialog(false);
+            } else if (e.key === 'Tab') {
+                const focusable = [...(this.dialogState.input ? [this.dialogInput] : []), this.dialogCancelBtn, this.dialogConfirmBtn];
+                const edge = e.shiftKey ? focusable[0] : focusable[focusable.length - 1];
+                if (document.activeElement === edge || !focusable.includes(document.activeElement)) {
+                    e.preventDefault();
+                    (e.shiftKey ? focusable[focusable.length - 1] : focusable[0]).focus();
+                }
+            }
+        });
+
+        // Keyboard shortcuts and the Ctrl+K command palette
+        document.addEventListener('keydown', (e) => this.handleShortcut(e));
+        this.commandInput.addEventListener('input', () => this.renderCommandResults());
+        this.commandInput.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                this.setCommandIndex(this.commandIndex + (e.key === 'ArrowDown' ? 1 : -1));
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                this.runCommand(this.commandResults[this.commandIndex]);
+            } else if (e.key === 'Tab') {
+                e.preventDefault();
+            }
+        });
+        this.commandList.addEventListener('click', (e) => {
+            const item = e.target.closest('.command-item');
+            if (item) this.runCommand(this.commandResults[Number(item.dataset.index)]);
+        });
+        this.commandList.addEventListener('mousemove', (e) => {
+            const item = e.target.closest('.command-item');
+            if (item && Number(item.dataset.index) !== this.commandIndex) this.setCommandIndex(Number(item.dataset.index));
+        });
+        this.commandPalette.addEventListener('click', (e) => {
+            if (e.target === this.commandPalette) this.closeCommandPalette();
+        });
+    }
+
+    // READ - Load and display all briefs
+    async loadBriefs() {
+        try {
+            this.briefs = await this.api.getAllBriefs();
+            // Re-apply the current search/filter so edits don't reset the view
+            this.filterBriefs();
+            await this.updateTrashCount();
+            // Keep an open detail page in sync after edits
+            if (this.currentRoute.name === 'brief') {
+                await this.showBriefDetail(this.currentRoute.id);
+            }
+        } catch (error) {
+            console.error('Failed to load briefs:', error);
+            this.showError('Failed to load briefs.', error, () => this.loadBriefs());
+        }
+    }
+
+    // Display briefs in the UI
+    renderBriefs(briefsToRender) {
+        this.visibleBriefs = briefsToRender;
+
+        // Bulk actions only ever touch cards that are on screen
+        const visibleIds = new Set(briefsToRender.map(brief => brief.id));
+        this.selectedIds.forEach(id => {
+            if (!visibleIds.has(id)) this.selectedIds.delete(id);
+        });
+        this.updateBulkBar();
+        this.renderTagCloud(briefsToRender);
+
+        // The detail page is showing - the grid renders when we navigate back
+        if (this.currentRoute.name !== 'vault') return;
+
+        // Clear existing cards
+        this.briefsGrid.innerHTML = '';
+        this.briefsBoard.innerHTML = '';
+
+        if (briefsToRender.length === 0) {
+            this.emptyState.classList.add('active');
+            this.emptyState.style.display = '';
+            this.briefsGrid.style.display = 'none';
+            this.briefsBoard.style.display = 'none';
+            return;
+        }
+
+        // Hide empty state
+        this.emptyState.classList.remove('active');
+        this.emptyState.style.display = 'none';
+
+        if (this.currentView === 'board') {
+            this.briefsGrid.style.display = 'none';
+            this.briefsBoard.style.display = 'grid';
+            this.renderBoard(briefsToRender);
+            return;
+        }
+
+        // Show grid
+        this.briefsBoard.style.display = 'none';
+        this.briefsGrid.style.display = 'grid';
+        this.briefsGrid.style.visibility = 'visible';
+        this.briefsGrid.style.opacity = '1';
+
+        briefsToRender.forEach(brief => {
+            const card = this.createBriefCard(brief);
+            this.briefsGrid.appendChild(card);
+        });
+    }
+
+    // Kanban board - one column per status option, drag cards between them
+    renderBoard(briefsToRender) {
+        this.getStatusOptions().forEach(({ value }) => {
+            const briefs = briefsToRender.filter(brief => brief.status === value);
+
+            const column = document.createElement('section');
+            column.className = 'board-column';
+            column.dataset.status = value;
+            column.innerHTML = safeHTML`
+                <div class="board-column-header">
+                    ${this.renderStatusBadge(value)}
+                    <span class="board-count">${briefs.length}</span>
+                </div>
+                <div class="board-cards"></div>
+            `;
+
+            const cardsContainer = column.querySelector('.board-cards');
+            briefs.forEach(brief => {
+                const card = this.createBriefCard(brief);
+                card.draggable = true;
+                card.addEventListener('dragstart', (e) => {
+                    e.dataTransfer.setData('text/plain', brief.id);
+                    e.dataTransfer.effectAllowed = 'move';
+                    card.classList.add('dragging');
+                    this.draggedBriefId = brief.id;
+                });
+                card.addEventListener('dragend', () => {
+                    card.classList.remove('dragging');
+                    this.draggedBriefId = null;
+                    this.briefsBoard.querySelectorAll('.drop-blocked').forEach(item => item.classList.remove('drop-blocked'));
+                });
+                cardsContainer.appendChild(card);
+            });
+
+            // Drop target - columns the workflow doesn't allow refuse the drop
+            column.addEventListener('dragover', (e) => {
+                const dragged = this.briefs.find(item => item.id === this.draggedBriefId);
+                if (dragged && !this.api.workflow.canTransition(dragged.status, value)) {
+                    column.classList.add('drop-blocked');
+                    return;
+                }
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+                column.classList.add('drag-over');
+            });
+            column.addEventListener('dragleave', (e) => {
+                if (!column.contains(e.relatedTarget)) column.classList.remove('drag-over', 'drop-blocked');
+            });
+            column.addEventListener('drop', (e) => {
+                e.preventDefault();
+                column.classList.remove('drag-over');
+                this.moveBriefToStatus(e.dataTransfer.getData('text/plain'), value);
+            });
+
+            this.briefsBoard.appendChild(column);
+        });
+    }
+
+    // Status options in workflow order
+    getStatusOptions() {
+        return this.api.workflow.getStatuses().map(({ id, label, color }) => ({ value: id, label, color }));
+    }
+
+    // Colored badge for a status - statuses no longer in the workflow get a plain one
+    renderStatusBadge(statusId) {
+        const status = this.api.workflow.get(statusId);
+        return safeHTML`<span class="card-status status-${statusId}" ${trustedHTML(status ? `style="--status-color: ${safeColor(status.color)}"` : '')}>${this.api.workflow.label(statusId)}</span>`;
+    }
+
+    // Fill the status filter and the brief form's status select from the workflow
+    renderStatusOptions() {
+        const optionsHTML = safeHTML`${this.getStatusOptions().map(({ value, label }) => safeHTML`<option value="${value}">${label}</option>`)}`;
+        const filter = this.statusFilter.value;
+        this.statusFilter.innerHTML = safeHTML`<option value="all">All Status</option>${trustedHTML(optionsHTML)}`;
+        this.statusFilter.value = this.api.workflow.get(filter) ? filter : 'all';
+        this.statusSelect.innerHTML = optionsHTML;
+        this.bulkStatusSelect.innerHTML = safeHTML`<option value="">Set status…</option>${trustedHTML(optionsHTML)}`;
+    }
+
+    // In the edit form only the statuses the workflow allows from the current one can be picked
+    updateStatusChoices(currentStatus = null) {
+        Array.from(this.statusSelect.options).forEach(option => {
+            option.disabled = currentStatus !== null && !this.api.workflow.canTransition(currentStatus, option.value);
+        });
+    }
+
+    // UPDATE - change status after a board drag-and-drop
+    async moveBriefToStatus(id, status) {
+        const brief = this.briefs.find(item => item.id === id);
+        if (!brief || brief.status === status) return;
+
+        try {
+            const updated = await this.api.updateBrief(id, { status });
+            const entry = this.recordUpdate(brief, updated, `Move "${brief.title}" to ${this.api.workflow.label(status)}`);
+            await this.loadBriefs();
+            this.showUndoToast(entry);
+        } catch (error) {
+            if (error instanceof TransitionError) {
+                this.showToast(error.message, { type: 'error' });
+                return;
+            }
+            console.error('Failed to move brief:', error);
+            this.showError('Failed to move brief.', error, () => this.moveBriefToStatus(id, status));
+        }
+    }
+
+    // Grid/Board view toggle (remembered between visits)
+    setView(view) {
+        this.currentView = view;
+        localStorage.setItem('briefVault_view', view);
+        this.viewButtons.forEach(button => {
+            button.classList.toggle('active', button.dataset.view === view);
+        });
+        this.renderBriefs(this.visibleBriefs);
+    }
+
+    createBriefCard(brief) {
+        const card = document.createElement('div');
+        card.className = 'brief-card' + (this.selectedIds.has(brief.id) ? ' selected' : '');
+        card.dataset.id = brief.id;
+        // Focusable so arrow keys can move between cards
+        card.tabIndex = 0;
+
+        // Mood image the palette was extracted from
+        const thumbnailHTML = safeImageData(brief.thumbnail)
+            ? safeHTML`<img class="card-thumbnail" src="${brief.thumbnail}" alt="Mood image for ${brief.title}" loading="lazy">`
+            : '';
 
         // Color palette HTML
         const colorsHTML = brief.colors.length > 0
-            ? `<div class="color-palette">
-                ${brief.colors.map(color => 
-                    `<div class="color-swatch" style="background-color: ${color};" title="${color}"></div>`
-                ).join('')}
+            ? safeHTML`<div class="color-palette">
+                ${brief.colors.map((color, index) => this.renderSwatch(color, brief.colorRoles[index]))}
+               </div>`
+            : '';
+
+        // Tags HTML
+        const tagsHTML = brief.tags.length > 0
+            ? safeHTML`<div class="card-tags">
+                ${brief.tags.map(tag => safeHTML`<span class="tag">${tag}</span>`)}
+               </div>`
+            : '';
+
+        // References HTML
+        const referencesHTML = brief.references.length > 0
+            ? safeHTML`<div class="card-references">
+                <div class="references-title">References</div>
+                ${brief.references.map(ref => this.renderReferenceLink(ref))}
+               </div>`
+            : '';
+
+        // Attachment thumbnails - the first few, files load in afterwards
+        const attachmentsHTML = brief.attachments.length > 0
+            ? safeHTML`<div class="attachment-gallery">
+                ${brief.attachments.slice(0, 4).map(file => this.renderAttachmentTile(file))}
+                ${brief.attachments.length > 4 ? safeHTML`<a href="#/brief/${encodeURIComponent(brief.id)}" class="attachment-more">+${brief.attachments.length - 4}</a>` : ''}
                </div>`
             : '';
 
-        // Tags HTML
-        const tagsHTML = brief.tags.length > 0
-            ? `<div class="card-tags">
-                ${brief.tags.map(tag => `<span class="tag">${tag}</span>`).join('')}
-               </div>`
-            : '';
+        // Sync indicator - only shown for the REST backend
+        const syncState = this.api.getSyncState(brief.id);
+        const syncHTML = syncState
+            ? safeHTML`<div class="card-sync sync-${syncState}" title="${syncState === 'pending' ? 'Saved on this device, waiting to reach the server' : 'Saved to the server'}">
+                ${syncState === 'pending' ? '⟳ Pending sync' : '✓ Synced'}
+               </div>`
+            : '';
+
+        const descriptionHTML = brief.description
+            ? trustedHTML(MarkdownRenderer.render(brief.description))
+            : 'No description provided.';
+
+        // Custom fields that have a value
+        const fieldsHTML = this.renderCustomFieldList(brief, 'card-fields');
+
+        card.innerHTML = safeHTML`
+            <div class="card-header">
+                ${this.selecting ? safeHTML`<input type="checkbox" class="card-select" aria-label="Select ${brief.title}" ${trustedHTML(this.selectedIds.has(brief.id) ? 'checked' : '')}>` : ''}
+                <h3 class="card-title"><a href="#/brief/${encodeURIComponent(brief.id)}" class="card-link">${trustedHTML(this.activeQuery.highlight(brief.title))}</a></h3>
+                ${this.renderStatusBadge(brief.status)}
+            </div>
+            <div class="card-description markdown-body">${descriptionHTML}</div>
+            ${fieldsHTML}
+            ${thumbnailHTML}
+            ${colorsHTML}
+            ${tagsHTML}
+            ${referencesHTML}
+            ${attachmentsHTML}
+            ${syncHTML}
+            <div class="card-actions">
+                <button class="btn btn-secondary btn-small edit-btn" data-id="${brief.id}">Edit</button>
+                <button class="btn btn-secondary btn-small history-btn" data-id="${brief.id}">History</button>
+                <button class="btn btn-danger btn-small delete-btn" data-id="${brief.id}">Delete</button>
+            </div>
+        `;
+
+        this.activeQuery.highlightElement(card.querySelector('.card-description'));
+        this.loadAttachmentTiles(card);
+
+        // Attach UPDATE and DELETE event listeners
+        card.querySelector('.edit-btn').addEventListener('click', () => this.openEditModal(brief.id));
+        card.querySelector('.history-btn').addEventListener('click', () => this.openHistoryModal(brief.id));
+        card.querySelector('.delete-btn').addEventListener('click', () => this.deleteBrief(brief.id));
+        // click rather than change - it carries shiftKey for ranges
+        card.querySelector('.card-select')?.addEventListener('click', (e) => {
+            this.toggleSelected(brief.id, e.target.checked, e.shiftKey);
+        });
+
+        return card;
+    }
+
+    // <dl> of a brief's custom field values ('' when none are filled in)
+    renderCustomFieldList(brief, className) {
+        const items = this.schema.getFields()
+            .map(field => ({ field, value: brief.customFields[field.key] }))
+            .filter(({ value }) => !BriefSchema.isEmpty(value));
+        if (items.length === 0) return '';
+
+        return safeHTML`<dl class="${className}">
+            ${items.map(({ field, value }) => safeHTML`<div class="custom-field-item">
+                <dt>${field.label}</dt>
+                <dd>${field.type === 'url' && safeUrl(value)
+                    ? safeHTML`<a href="${safeUrl(value)}" target="_blank" rel="noopener noreferrer">${this.truncateUrl(value)}</a>`
+                    : BriefSchema.formatValue(field, value)}</dd>
+            </div>`)}
+        </dl>`;
+    }
+
+    // Color swatch - anything that isn't a valid hex color gets a striped placeholder
+    renderSwatch(color, role) {
+        const hex = safeColor(color);
+        return hex
+            ? safeHTML`<div class="color-swatch" style="background-color: ${hex};" title="${role ? `${role} · ${hex}` : hex}"></div>`
+            : safeHTML`<div class="color-swatch invalid-color" title="Invalid color: ${color}"></div>`;
+    }
+
+    // Attachment tile - file type badge until loadAttachmentTiles fills in the file
+    renderAttachmentTile(file, { showName = false } = {}) {
+        const extension = (String(file.name).split('.').pop() || 'file').slice(0, 4);
+        return safeHTML`
+            <a class="attachment-tile" data-attachment-id="${file.id}" data-type="${file.type}" data-name="${file.name}"
+               title="${file.name} (${AttachmentStore.formatSize(file.size)})" target="_blank" rel="noopener">
+                <span class="attachment-preview"><span class="attachment-ext">${extension}</span></span>
+                ${showName ? safeHTML`<span class="attachment-name">${file.name}</span><span class="attachment-size">${AttachmentStore.formatSize(file.size)}</span>` : ''}
+            </a>`;
+    }
+
+    // Object URL for a stored attachment, cached for the session (null if the file is gone)
+    async getAttachmentURL(id) {
+        if (!this.attachmentURLs.has(id)) {
+            const record = await this.api.attachments.get(id);
+            this.attachmentURLs.set(id, record ? URL.createObjectURL(record.blob) : null);
+        }
+        return this.attachmentURLs.get(id);
+    }
+
+    // Point every tile in root at its stored file; images get a thumbnail
+    async loadAttachmentTiles(root) {
+        const tiles = [...root.querySelectorAll('.attachment-tile[data-attachment-id]')];
+        await Promise.all(tiles.map(async (tile) => {
+            let url = null;
+            try {
+                url = await this.getAttachmentURL(tile.dataset.attachmentId);
+            } catch (error) {
+                console.warn('Could not load attachment:', error);
+            }
+            if (!url) {
+                tile.classList.add('missing');
+                tile.title += ' - not stored on this device';
+                return;
+            }
+            tile.href = url;
+            // Images and PDFs open in a tab, anything else downloads
+            if (!/^image\/|^application\/pdf$/.test(tile.dataset.type)) {
+                tile.download = tile.dataset.name;
+            }
+            if (tile.dataset.type.startsWith('image/')) {
+                const image = document.createElement('img');
+                image.src = url;
+                image.alt = '';
+                image.loading = 'lazy';
+                tile.querySelector('.attachment-preview').replaceChildren(image);
+            }
+        }));
+    }
+
+    // Reference link - only http/https become clickable, anything else is shown as text
+    renderReferenceLink(ref) {
+        const href = safeUrl(ref.url);
+        const label = safeHTML`<span class="reference-category category-${ref.category}">${ref.category}</span> ${ref.title || this.truncateUrl(ref.url)}`;
+        return href
+            ? safeHTML`<a href="${href}" target="_blank" rel="noopener noreferrer" class="reference-link" title="${ref.note || ref.url}">${label}</a>`
+            : safeHTML`<span class="reference-link blocked-link" title="Only http/https links can be opened">${label}</span>`;
+    }
+
+    // Helper to truncate long URLs
+    truncateUrl(url) {
+        url = String(url);
+        return url.length > 50 ? url.substring(0, 47) + '...' : url;
+    }
+
+    openCreateModal() {
+        this.currentEditId = null;
+        this.modalTitle.textContent = 'NEW BRIEF';
+        this.submitBtnText.textContent = 'Create Brief';
+        this.briefForm.reset();
+        this.setPalette(DEFAULT_PALETTE);
+        this.setFormThumbnail(null);
+        this.setFormAttachments([]);
+        this.setReferenceRows([]);
+        this.setFormTags([]);
+        this.renderCustomFieldInputs({});
+        this.updateStatusChoices();
+        this.updateDescriptionPreview();
+        this.modal.classList.add('active');
+    }
+
+    // Fill the brief form from a brief or template
+    fillBriefForm(data) {
+        document.getElementById('briefTitle').value = data.title;
+        document.getElementById('briefDescription').value = data.description;
+        this.updateDescriptionPreview();
+        // Templates may name a status the workflow has since dropped
+        this.statusSelect.value = this.api.workflow.get(data.status) ? data.status : this.api.workflow.initialStatus();
+        this.setPalette(data.colors, data.colorRoles);
+        this.setFormTags(data.tags);
+        this.setReferenceRows(data.references);
+    }
+
+    // Tag chips in the brief form, with the tags already in use as suggestions
+    setFormTags(tags) {
+        this.formTags = Brief.normalizeTags(tags);
+        this.tagInput.value = '';
+        this.renderFormTags();
+    }
+
+    addFormTags(text) {
+        this.setFormTags([...this.formTags, ...text.split(',')]);
+    }
+
+    removeFormTag(tag) {
+        this.formTags = this.formTags.filter(item => item !== tag);
+        this.renderFormTags();
+        this.tagInput.focus();
+    }
+
+    renderFormTags() {
+        this.tagChips.innerHTML = safeHTML`${this.formTags.map(tag => safeHTML`
+            <span class="tag tag-chip">${tag}<button type="button" class="tag-chip-remove" data-tag="${tag}" aria-label="Remove tag ${tag}">&times;</button></span>
+        `)}`;
+        this.tagSuggestions.innerHTML = safeHTML`${this.getTagCounts()
+            .filter(({ tag }) => !this.formTags.includes(tag))
+            .map(({ tag, count }) => safeHTML`<option value="${tag}">${this.countBriefs(count)}</option>`)}`;
+    }
+
+    // Text still in the input counts too, so saving doesn't drop a half-typed tag
+    getFormTags() {
+        return Brief.normalizeTags([...this.formTags, ...this.tagInput.value.split(',')]);
+    }
+
+    // Render the description textarea as Markdown next to it
+    updateDescriptionPreview() {
+        const markdown = this.descriptionInput.value;
+        this.descriptionPreview.innerHTML = markdown.trim()
+            ? MarkdownRenderer.render(markdown)
+            : '<p class="preview-placeholder">Preview appears here as you type.</p>';
+    }
+
+    // Palette editor - one row per color with its role name
+    setPalette(colors, roles = []) {
+        this.paletteEditor.innerHTML = '';
+        colors.forEach((color, index) => this.addPaletteRow(color, roles[index] || defaultColorRole(index)));
+        this.renderContrastMatrix();
+    }
+
+    addPaletteRow(color = '#ffffff', role = defaultColorRole(this.paletteEditor.children.length)) {
+        const row = document.createElement('div');
+        row.className = 'palette-row';
+        row.innerHTML = `
+            <input type="color" class="palette-color" aria-label="Color">
+            <input type="text" class="palette-role" placeholder="Role, e.g. Background" aria-label="Color role" maxlength="40">
+            <button type="button" class="btn-close palette-remove" title="Remove color" aria-label="Remove color">×</button>
+        `;
+        row.querySelector('.palette-color').value = safeColor(color) || '#ffffff';
+        row.querySelector('.palette-role').value = role;
+
+        row.querySelector('.palette-color').addEventListener('input', () => this.renderContrastMatrix());
+        row.querySelector('.palette-role').addEventListener('input', () => this.renderContrastMatrix());
+        row.querySelector('.palette-remove').addEventListener('click', () => {
+            row.remove();
+            this.renderContrastMatrix();
+        });
+        this.paletteEditor.appendChild(row);
+        return row;
+    }
+
+    getPalette() {
+        const rows = [...this.paletteEditor.querySelectorAll('.palette-row')];
+        return {
+            colors: rows.map(row => row.querySelector('.palette-color').value),
+            colorRoles: rows.map((row, index) => row.querySelector('.palette-role').value.trim() || defaultColorRole(index))
+        };
+    }
+
+    // Keep the first color as the base and fill the rows after it with its harmony
+    generateHarmony() {
+        const rows = [...this.paletteEditor.querySelectorAll('.palette-row')];
+        const base = rows.length > 0 ? rows[0].querySelector('.palette-color').value : DEFAULT_PALETTE[0];
+        const harmony = ColorUtils.harmony(base, this.harmonySchemeSelect.value);
+
+        harmony.forEach((color, index) => {
+            const row = rows[index] || this.addPaletteRow(color);
+            row.querySelector('.palette-color').value = color;
+        });
+        this.renderContrastMatrix();
+    }
+
+    // Mood image - propose a palette from it and keep its thumbnail on the brief
+    async handlePaletteImage(file) {
+        if (!file) return;
+
+        // Same number of colors as the palette has now, keeping the role names
+        const { colors, colorRoles } = this.getPalette();
+        this.imageDrop.classList.add('loading');
+        try {
+            const extracted = await PaletteExtractor.fromFile(file, colors.length || DEFAULT_PALETTE.length);
+            this.setPalette(extracted.colors, colorRoles);
+            this.setFormThumbnail(extracted.thumbnail);
+        } catch (error) {
+            console.error('Failed to extract palette:', error);
+            this.showError('Could not extract a palette from this image.', error);
+        } finally {
+            this.imageDrop.classList.remove('loading');
+            this.paletteImageInput.value = '';
+        }
+    }
+
+    setFormThumbnail(thumbnail) {
+        this.formThumbnail = safeImageData(thumbnail);
+        this.imageDrop.classList.toggle('has-image', Boolean(this.formThumbnail));
+        if (this.formThumbnail) {
+            this.paletteThumbnail.src = this.formThumbnail;
+        } else {
+            this.paletteThumbnail.removeAttribute('src');
+        }
+    }
+
+    // WCAG contrast of every text color (rows) on every background (columns)
+    renderContrastMatrix() {
+        const { colors, colorRoles } = this.getPalette();
+        if (colors.length < 2) {
+            this.contrastMatrix.innerHTML = '<p class="contrast-empty">Add at least two colors to check contrast.</p>';
+            return;
+        }
+
+        let passing = 0;
+        let pairs = 0;
+        const cells = (foreground, row) => colors.map((background, column) => {
+            if (column === row) {
+                return safeHTML`<td class="contrast-same">—</td>`;
+            }
+            const ratio = ColorUtils.contrastRatio(foreground, background);
+            const rating = ColorUtils.contrastRating(ratio);
+            pairs++;
+            if (ratio >= 4.5) passing++;
+            return safeHTML`
+                <td class="contrast-cell ${rating === 'Fail' ? 'contrast-fail' : rating === 'AA Large' ? 'contrast-large' : 'contrast-pass'}"
+                    title="${rating === 'Fail' ? 'Fails WCAG AA' : `Passes WCAG ${rating}`}">
+                    <span class="contrast-sample" style="color: ${safeColor(foreground)}; background-color: ${safeColor(background)};">Aa</span>
+                    <span class="contrast-ratio">${ratio.toFixed(2)}</span>
+                    <span class="contrast-rating">${rating}</span>
+                </td>`;
+        });
+
+        const rows = colors.map((foreground, index) => safeHTML`
+            <tr>
+                <th scope="row">${this.renderSwatch(foreground)} ${colorRoles[index]}</th>
+                ${cells(foreground, index)}
+            </tr>`);
+
+        this.contrastMatrix.innerHTML = safeHTML`
+            <p class="contrast-summary">${passing} of ${pairs} text/background pairs pass WCAG AA for body text (4.5:1)</p>
+            <div class="contrast-scroll">
+                <table class="contrast-table">
+                    <thead>
+                        <tr>
+                            <th scope="col">Text ↓ / Background →</th>
+                            ${colors.map((color, index) => safeHTML`<th scope="col">${this.renderSwatch(color)} ${colorRoles[index]}</th>`)}
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    // UPDATE - Open modal with existing brief data
+    async openEditModal(id) {
+        try {
+            const brief = await this.api.getBriefById(id);
+            this.currentEditId = id;
+            this.editBaseline = brief;
+            this.modalTitle.textContent = 'EDIT BRIEF';
+            this.submitBtnText.textContent = 'Update Brief';
+
+            // Populate form
+            this.fillBriefForm(brief);
+            this.setFormThumbnail(brief.thumbnail);
+            this.setFormAttachments(brief.attachments);
+            this.renderCustomFieldInputs(brief.customFields);
+            this.updateStatusChoices(brief.status);
+
+            this.modal.classList.add('active');
+        } catch (error) {
+            console.error('Failed to load brief for editing:', error);
+            this.showError('Failed to load brief.', error, () => this.openEditModal(id));
+        }
+    }
+
+    closeModal() {
+        this.modal.classList.remove('active');
+        this.briefForm.reset();
+        this.setFormAttachments([]);
+        this.currentEditId = null;
+        this.editBaseline = null;
+        this.templateEdit = null;
+        this.briefForm.classList.remove('template-mode');
+    }
+
+    // One input per custom field, in schema order - hidden when the team has none
+    renderCustomFieldInputs(values) {
+        const fields = this.schema.getFields();
+        this.customFieldsGroup.style.display = fields.length === 0 ? 'none' : '';
+        this.customFieldsContainer.innerHTML = safeHTML`${fields.map(field => {
+            const id = `custom-${field.key}`;
+            const value = values[field.key];
+            const required = trustedHTML(field.required ? 'required' : '');
+            if (field.type === 'checkbox') {
+                return safeHTML`<div class="form-group custom-field-checkbox">
+                    <label><input type="checkbox" id="${id}" data-key="${field.key}" ${trustedHTML(value ? 'checked' : '')} ${required}> ${field.label}</label>
+                </div>`;
+            }
+
+            let input;
+            if (field.type === 'select') {
+                input = safeHTML`<select id="${id}" data-key="${field.key}" ${required}>
+                    <option value="">—</option>
+                    ${field.options.map(option => safeHTML`<option value="${option}" ${trustedHTML(option === value ? 'selected' : '')}>${option}</option>`)}
+                </select>`;
+            } else {
+                const type = { number: 'number', date: 'date', url: 'url' }[field.type] || 'text';
+                input = safeHTML`<input type="${type}" id="${id}" data-key="${field.key}" value="${value ?? ''}"
+                    ${trustedHTML(type === 'number' ? 'step="any"' : '')} ${trustedHTML(type === 'url' ? 'placeholder="https://"' : '')} ${required}>`;
+            }
+            return safeHTML`<div class="form-group">
+                <label for="${id}">${field.label}${field.required ? ' *' : ''}</label>
+                ${input}
+            </div>`;
+        })}`;
+    }
+
+    // Values from the custom field inputs, on top of the brief's existing ones -
+    // values of fields no longer in the schema are kept, cleared fields are dropped
+    getCustomFieldValues(existing = {}) {
+        const values = { ...existing };
+        this.schema.getFields().forEach(field => {
+            const input = this.customFieldsContainer.querySelector(`[data-key="${field.key}"]`);
+            if (!input) return;
+            const value = BriefSchema.parseValue(field, field.type === 'checkbox' ? input.checked : input.value);
+            if (BriefSchema.isEmpty(value)) {
+                delete values[field.key];
+            } else {
+                values[field.key] = value;
+            }
+        });
+        return values;
+    }
+
+    // Reference editor - one row per link; a new brief starts with an empty row
+    setReferenceRows(references) {
+        this.referenceEditor.innerHTML = '';
+        const rows = references.length > 0 ? references : [{}];
+        rows.forEach(ref => this.addReferenceRow(Brief.normalizeReference(ref)));
+    }
+
+    addReferenceRow(ref = Brief.normalizeReference({})) {
+        const row = document.createElement('div');
+        row.className = 'reference-row';
+        row.innerHTML = safeHTML`
+            <input type="text" inputmode="url" spellcheck="false" class="reference-url" placeholder="https://dribbble.com/example" aria-label="Reference URL" value="${ref.url}">
+            <input type="text" class="reference-title-input" placeholder="Title (optional)" aria-label="Reference title" value="${ref.title}">
+            <select class="reference-category-select" aria-label="Reference category">
+                ${REFERENCE_CATEGORIES.map(category => safeHTML`<option value="${category}">${category}</option>`)}
+            </select>
+            <input type="text" class="reference-note" placeholder="Note (optional)" aria-label="Reference note" value="${ref.note}">
+            <button type="button" class="btn-close reference-remove" title="Remove reference" aria-label="Remove reference">×</button>
+        `;
+        row.querySelector('.reference-category-select').value = ref.category;
+
+        const urlInput = row.querySelector('.reference-url');
+        urlInput.addEventListener('input', () => {
+            urlInput.setCustomValidity('');
+            row.classList.remove('invalid');
+        });
+        urlInput.addEventListener('change', () => {
+            urlInput.value = Brief.normalizeReferenceUrl(urlInput.value);
+            this.validateReferenceRow(row);
+        });
+        row.querySelector('.reference-remove').addEventListener('click', () => row.remove());
+
+        this.referenceEditor.appendChild(row);
+        return row;
+    }
+
+    // Flags a row whose link isn't http(s), or that has a note but nothing to
+    // point it at - returns false if invalid
+    validateReferenceRow(row) {
+        const urlInput = row.querySelector('.reference-url');
+        const url = urlInput.value.trim();
+        const title = row.querySelector('.reference-title-input').value.trim();
+        const note = row.querySelector('.reference-note').value.trim();
+        let message = '';
+        if (!url && !title && note) {
+            message = 'Add the link or a title for this reference';
+        } else if (url && !safeUrl(Brief.normalizeReferenceUrl(url)) &&
+            !(this.templateEdit && TemplateLibrary.PLACEHOLDER_PATTERN.test(url))) {
+            // Templates may use placeholders like {{portfolio}} in place of a link
+            message = 'Only http:// and https:// links can be used - other text goes in the title';
+        }
+        urlInput.setCustomValidity(message);
+        row.classList.toggle('invalid', Boolean(message));
+        return !message;
+    }
+
+    // References from the editor, or null (with the problem shown) if a URL is invalid
+    getReferenceRows() {
+        const rows = [...this.referenceEditor.querySelectorAll('.reference-row')];
+        const invalid = rows.find(row => !this.validateReferenceRow(row));
+        if (invalid) {
+            invalid.querySelector('.reference-url').reportValidity();
+            return null;
+        }
+        return rows
+            .map(row => Brief.normalizeReference({
+                url: row.querySelector('.reference-url').value,
+                title: row.querySelector('.reference-title-input').value,
+                note: row.querySelector('.reference-note').value,
+                category: row.querySelector('.reference-category-select').value
+            }))
+            .filter(ref => ref.url || ref.title);
+    }
+
+    // Attachments in the form - stored ones, plus files picked but not saved yet
+    setFormAttachments(attachments) {
+        this.pendingFiles.forEach(pending => URL.revokeObjectURL(pending.url));
+        this.formAttachments = [...attachments];
+        this.pendingFiles = [];
+        if (this.unsavedAttachmentIds.length > 0) {
+            this.api.cleanupAttachments(this.unsavedAttachmentIds);
+            this.unsavedAttachmentIds = [];
+        }
+        this.renderFormAttachments();
+    }
+
+    async addPendingFiles(files) {
+        try {
+            const pendingBytes = this.pendingFiles.reduce((sum, pending) => sum + pending.file.size, 0);
+            await this.api.attachments.checkLimits(files, this.formAttachments.length + this.pendingFiles.length, pendingBytes);
+            files.forEach(file => this.pendingFiles.push({ file, url: URL.createObjectURL(file) }));
+            this.renderFormAttachments();
+        } catch (error) {
+            console.error('Failed to attach files:', error);
+            this.showError('Could not attach these files.', error);
+        } finally {
+            this.attachmentInput.value = '';
+        }
+    }
+
+    renderFormAttachments() {
+        const stored = this.formAttachments.map(file => ({ file, pending: false }));
+        const pending = this.pendingFiles.map(({ file, url }) => ({
+            file: { id: '', name: file.name, type: file.type, size: file.size },
+            url,
+            pending: true
+        }));
+
+        this.attachmentList.innerHTML = safeHTML`${[...stored, ...pending].map(({ file, pending: isPending }, index) => safeHTML`
+            <div class="attachment-item">
+                ${this.renderAttachmentTile(file, { showName: true })}
+                ${isPending ? safeHTML`<span class="attachment-pending">not saved yet</span>` : ''}
+                <button type="button" class="btn-close attachment-remove" data-index="${index}" title="Remove attachment" aria-label="Remove ${file.name}">×</button>
+            </div>
+        `)}`;
+
+        // Pending files preview straight from the picked File
+        const tiles = this.attachmentList.querySelectorAll('.attachment-tile');
+        pending.forEach(({ file, url }, i) => {
+            const tile = tiles[stored.length + i];
+            tile.removeAttribute('data-attachment-id');
+            tile.href = url;
+            if (file.type.startsWith('image/')) {
+                tile.querySelector('.attachment-preview').innerHTML = safeHTML`<img src="${url}" alt="">`;
+            }
+        });
+        this.loadAttachmentTiles(this.attachmentList);
+
+        this.attachmentList.querySelectorAll('.attachment-remove').forEach(button => {
+            button.addEventListener('click', () => {
+                const index = Number(button.dataset.index);
+                if (index < stored.length) {
+                    this.formAttachments.splice(index, 1);
+                } else {
+                    const [removed] = this.pendingFiles.splice(index - stored.length, 1);
+                    URL.revokeObjectURL(removed.url);
+                }
+                this.renderFormAttachments();
+            });
+        });
+        this.updateStorageMeter();
+    }
+
+    // Attachment space used on this device, including files picked but not saved
+    async updateStorageMeter() {
+        let used = 0;
+        try {
+            used = await this.api.attachments.usage();
+        } catch (error) {
+            this.storageMeterText.textContent = error.message;
+            return;
+        }
+        used += this.pendingFiles.reduce((sum, pending) => sum + pending.file.size, 0);
+        this.storageMeter.value = used / AttachmentStore.MAX_TOTAL_SIZE;
+        this.storageMeterText.textContent = `${AttachmentStore.formatSize(used)} of ${AttachmentStore.formatSize(AttachmentStore.MAX_TOTAL_SIZE)} attachment space used`;
+    }
+
+    // Store picked files - returns the metadata of the ones written. They stay
+    // pending in the form until a save refers to them
+    async saveFormAttachments() {
+        const added = [];
+        try {
+            for (const { file } of this.pendingFiles) {
+                added.push(await this.api.attachments.add(file));
+            }
+        } catch (error) {
+            await this.api.cleanupAttachments(added.map(file => file.id));
+            throw error;
+        }
+        return added;
+    }
+
+    // Stored files become part of the form once a save (or the merge dialog) uses them
+    keepFormAttachments(added) {
+        this.formAttachments.push(...added);
+        this.pendingFiles.forEach(pending => URL.revokeObjectURL(pending.url));
+        this.pendingFiles = [];
+    }
+
+    // Handle CREATE and UPDATE form submission
+    async handleFormSubmit(e) {
+        e.preventDefault();
+
+        const formData = new FormData(this.briefForm);
+        
+        // Collect color palette
+        const { colors, colorRoles } = this.getPalette();
+
+        // Parse tags and references
+        const tags = this.getFormTags();
+
+        const references = this.getReferenceRows();
+        if (!references) return;
+
+        const briefData = {
+            title: formData.get('title'),
+            description: formData.get('description'),
+            colors: colors,
+            colorRoles: colorRoles,
+            thumbnail: this.formThumbnail,
+            references: references,
+            tags: tags,
+            status: formData.get('status')
+        };
+
+        // Editing a template rather than a brief
+        if (this.templateEdit) {
+            this.saveTemplateForm(briefData);
+            return;
+        }
+
+        briefData.customFields = this.getCustomFieldValues(this.editBaseline ? this.editBaseline.customFields : {});
+        const fieldErrors = new Brief(briefData).validateCustomFields(this.schema.getFields());
+        if (fieldErrors.length > 0) {
+            this.showToast('Please check these fields:\n' + fieldErrors.join('\n'), { type: 'error' });
+            return;
+        }
+
+        let added = [];
+        try {
+            added = await this.saveFormAttachments();
+            briefData.attachments = [...this.formAttachments, ...added];
+
+            // closeModal() forgets which brief was being edited, so word the notice first
+            let entry, message;
+            if (this.currentEditId) {
+                // UPDATE operation - refuses to overwrite a newer save
+                const updated = await this.api.updateBrief(this.currentEditId, briefData, {
+                    baseRevision: this.editBaseline.revision
+                });
+                entry = this.recordUpdate(this.editBaseline, updated, `Edit "${updated.title}"`);
+                message = `✅ Saved "${updated.title}"`;
+            } else {
+                // CREATE operation
+                const created = await this.api.createBrief(briefData);
+                entry = this.recordBatch(`Create "${created.title}"`, { created: [created] });
+                message = `✅ Brief "${created.title}" created - it's in the grid now`;
+            }
+
+            this.closeModal();
+            await this.loadBriefs();
+            this.showUndoToast(entry, message);
+        } catch (error) {
+            if (error instanceof ConflictError) {
+                // "Mine" in the merge dialog refers to the stored files
+                this.keepFormAttachments(added);
+                this.unsavedAttachmentIds.push(...added.map(file => file.id));
+                this.openMergeModal(briefData, error.current);
+                return;
+            }
+            // Nothing refers to the files stored for this attempt - a retry stores them again
+            this.api.cleanupAttachments(added.map(file => file.id));
+            console.error('Failed to save brief:', error);
+            // The form stays open, so retrying submits it again as it is
+            this.showError('Failed to save brief.', error, () => this.briefForm.requestSubmit());
+        }
+    }
+
+    // A brief's id now - restoring from the trash usually gives it a new one
+    currentBriefId(id) {
+        while (this.restoredIds.has(id)) id = this.restoredIds.get(id);
+        return id;
+    }
+
+    async restoreTrashedBrief(id) {
+        const currentId = this.currentBriefId(id);
+        const restored = await this.api.restoreBrief(currentId);
+        if (restored.id !== currentId) {
+            this.restoredIds.set(currentId, restored.id);
+        }
+        return restored;
+    }
+
+    // Undo/redo of creates and deletes - undoing a create moves the brief to the trash.
+    // Nothing changes unless every brief to bring back is still in the trash
+    recordBatch(label, { created = [], deleted = [] }) {
+        const createdIds = created.map(brief => brief.id);
+        const deletedIds = deleted.map(brief => brief.id);
+        const swap = async (toTrash, toRestore) => {
+            const entries = await Promise.all(toRestore.map(id => this.api.trash.get(this.currentBriefId(id))));
+            if (entries.some(entry => !entry)) {
+                throw new Error('a brief it needs was deleted from the trash for good');
+            }
+            for (const id of toTrash) await this.api.deleteBrief(this.currentBriefId(id));
+            for (const id of toRestore) await this.restoreTrashedBrief(id);
+        };
+
+        return this.undoStack.push({
+            label,
+            undo: () => swap(createdIds, deletedIds),
+            redo: () => swap(deletedIds, createdIds)
+        });
+    }
+
+    // Undo puts back the edited fields as they were, whatever the workflow allows
+    recordUpdate(before, after, label) {
+        return this.recordUpdates(label, [{ before, after }]);
+    }
+
+    // Several briefs edited as one action (bulk status and tag changes)
+    recordUpdates(label, changes) {
+        const fields = (brief) => Object.fromEntries([...MERGE_FIELDS, 'statusHistory'].map(field => [field, brief[field]]));
+        const steps = changes.map(({ before, after }) => ({ id: after.id, before: fields(before), after: fields(after) }));
+        const apply = async (side) => {
+            for (const step of steps) {
+                await this.api.updateBrief(this.currentBriefId(step.id), step[side], { ignoreWorkflow: true });
+            }
+        };
+        return this.undoStack.push({
+            label,
+            undo: () => apply('before'),
+            redo: () => apply('after')
+        });
+    }
+
+    // Pass an entry to only undo that action (from its toast)
+    async undo(entry = null) {
+        await this.runUndoStep('undo', entry);
+    }
+
+    async redo() {
+        await this.runUndoStep('redo');
+    }
+
+    async runUndoStep(direction, entry = null) {
+        try {
+            const done = await this.undoStack[direction](entry);
+            if (!done) return;
+            await this.loadBriefs();
+            this.showToast(`${direction === 'undo' ? 'Undone' : 'Redone'}: ${done.label}`);
+        } catch (error) {
+            console.error(`Failed to ${direction}:`, error);
+            await this.loadBriefs();
+            this.showToast(`Couldn't ${direction} - ${error.message}`, { type: 'error' });
+        }
+    }
+
+    updateUndoButtons() {
+        const { done, undone } = this.undoStack;
+        this.undoBtn.disabled = !this.undoStack.canUndo();
+        this.redoBtn.disabled = !this.undoStack.canRedo();
+        this.undoBtn.title = this.undoStack.canUndo() ? `Undo ${done[done.length - 1].label} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+        this.redoBtn.title = this.undoStack.canRedo() ? `Redo ${undone[undone.length - 1].label} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+    }
+
+    showUndoToast(entry, message = entry.label) {
+        this.showToast(message, { type: 'success', actionLabel: 'Undo', onAction: () => this.undo(entry) });
+    }
+
+    // Failures say what went wrong and, where it makes sense, offer to try again
+    showError(message, error, retry = null) {
+        this.showToast(`${message}\n${error.message}`, {
+            type: 'error',
+            actionLabel: retry ? 'Retry' : null,
+            onAction: retry
+        });
+    }
+
+    // Short notice in the corner with an optional action button. A few show at once and
+    // the rest wait their turn; the countdown pauses while the pointer or focus is on it
+    showToast(message, { type = 'info', actionLabel = null, onAction = null, duration = type === 'error' ? 10000 : 6000 } = {}) {
+        const toast = document.createElement('div');
+        toast.className = `toast toast-${type}`;
+        // Errors interrupt the screen reader; everything else waits politely
+        toast.setAttribute('role', type === 'error' ? 'alert' : 'status');
+        toast.innerHTML = safeHTML`
+            <span class="toast-message">${message}</span>
+            ${actionLabel ? safeHTML`<button type="button" class="toast-action">${actionLabel}</button>` : ''}
+            <button type="button" class="btn-close toast-close" aria-label="Dismiss">&times;</button>
+        `;
+
+        let timer = null;
+        let remaining = duration;
+        let startedAt = 0;
+        const start = () => {
+            if (timer !== null || !toast.isConnected) return;
+            startedAt = Date.now();
+            timer = setTimeout(dismiss, remaining);
+        };
+        const pause = () => {
+            if (timer === null) return;
+            clearTimeout(timer);
+            timer = null;
+            remaining -= Date.now() - startedAt;
+        };
+        const dismiss = () => {
+            pause();
+            this.toastQueue = this.toastQueue.filter(item => item.toast !== toast);
+            toast.remove();
+            this.flushToasts();
+        };
+
+        toast.addEventListener('mouseenter', pause);
+        toast.addEventListener('mouseleave', start);
+        toast.addEventListener('focusin', pause);
+        toast.addEventListener('focusout', start);
+        toast.querySelector('.toast-close').addEventListener('click', dismiss);
+        toast.querySelector('.toast-action')?.addEventListener('click', () => {
+            dismiss();
+            onAction();
+        });
+
+        this.toastQueue.push({ toast, start });
+        this.flushToasts();
+        return toast;
+    }
+
+    flushToasts() {
+        while (this.toastQueue.length > 0 && this.toastRegion.children.length < this.maxToasts) {
+            const { toast, start } = this.toastQueue.shift();
+            this.toastRegion.appendChild(toast);
+            start();
+        }
+    }
+
+    // Promise-based stand-in for confirm()/prompt(): resolves true/false, or with an
+    // input the text entered (null when cancelled)
+    openDialog({ title, message = '', confirmLabel = 'OK', danger = false, input = null }) {
+        this.settleDialog(false);
+        const returnFocus = document.activeElement;
+
+        this.dialogTitle.textContent = title;
+        this.dialogMessage.textContent = message;
+        this.dialogMessage.style.display = message ? '' : 'none';
+        this.dialogConfirmBtn.textContent = confirmLabel;
+        this.dialogConfirmBtn.className = `btn ${danger ? 'btn-danger' : 'btn-primary'}`;
+        this.dialogInputGroup.style.display = input ? 'flex' : 'none';
+        this.dialogInput.required = Boolean(input);
+        if (input) {
+            this.dialogInputLabel.textContent = input.label;
+            this.dialogInput.value = input.value || '';
+            this.dialogInput.placeholder = input.placeholder || '';
+        }
+        this.dialogModal.classList.add('active');
+        // Destructive actions start on Cancel so a stray Enter doesn't delete anything
+        (input ? this.dialogInput : danger ? this.dialogCancelBtn : this.dialogConfirmBtn).focus();
+
+        return new Promise(resolve => {
+            this.dialogState = { resolve, input: Boolean(input), returnFocus };
+        });
+    }
+
+    settleDialog(confirmed) {
+        if (!this.dialogState) return;
+        const { resolve, input, returnFocus } = this.dialogState;
+        this.dialogState = null;
+        this.dialogModal.classList.remove('active');
+        if (returnFocus instanceof HTMLElement) returnFocus.focus();
+        if (input) {
+            resolve(confirmed ? this.dialogInput.value : null);
+        } else {
+            resolve(confirmed);
+        }
+    }
+
+    // Merge Conflict Dialog - pick "mine" or "theirs" for each field that differs
+    openMergeModal(mine, theirs) {
+        const base = this.editBaseline;
+        this.mergeState = { mine, theirs, choices: {} };
+        this.mergeFields.innerHTML = '';
+
+        MERGE_FIELDS.forEach(field => {
+            if (this.sameValue(mine[field], theirs[field])) return;
+
+            // Keep whichever side actually changed; if both did, default to mine
+            const mineChanged = !this.sameValue(mine[field], base[field]);
+            const theirsChanged = !this.sameValue(theirs[field], base[field]);
+            const choice = theirsChanged && !mineChanged ? 'theirs' : 'mine';
+            this.mergeState.choices[field] = choice;
+
+            const row = document.createElement('div');
+            row.className = 'merge-row' + (mineChanged && theirsChanged ? ' both-changed' : '');
+            row.innerHTML = safeHTML`
+                <div class="merge-field-name">${FIELD_LABELS[field]}${mineChanged && theirsChanged ? safeHTML` <span class="merge-flag">both changed</span>` : ''}</div>
+                <label class="merge-option">
+                    <input type="radio" name="merge-${field}" value="mine" ${trustedHTML(choice === 'mine' ? 'checked' : '')}>
+                    <span class="merge-side">Mine</span>
+                    <div class="merge-value"></div>
+                </label>
+                <label class="merge-option">
+                    <input type="radio" name="merge-${field}" value="theirs" ${trustedHTML(choice === 'theirs' ? 'checked' : '')}>
+                    <span class="merge-side">Theirs</span>
+                    <div class="merge-value"></div>
+                </label>
+            `;
+            const [mineValue, theirsValue] = row.querySelectorAll('.merge-value');
+            mineValue.appendChild(this.renderFieldValue(field, mine[field]));
+            theirsValue.appendChild(this.renderFieldValue(field, theirs[field]));
+            row.querySelectorAll('input[type="radio"]').forEach(radio => {
+                radio.addEventListener('change', () => {
+                    this.mergeState.choices[field] = radio.value;
+                });
+            });
+            this.mergeFields.appendChild(row);
+        });
+
+        this.mergeModal.classList.add('active');
+    }
+
+    closeMergeModal() {
+        this.mergeModal.classList.remove('active');
+        this.mergeState = null;
+    }
+
+    // Show a field value in the merge/history dialogs (colors as swatches)
+    renderFieldValue(field, value) {
+        const container = document.createElement('div');
+        if (field === 'colors') {
+            container.className = 'color-palette';
+            container.innerHTML = safeHTML`${(value || []).map(color => this.renderSwatch(color))}`;
+        } else if (field === 'references') {
+            container.textContent = (value || []).length > 0 ? value.map(ref => this.referenceLabel(ref)).join(', ') : '(none)';
+        } else if (field === 'attachments') {
+            container.textContent = (value || []).length > 0 ? value.map(file => file.name).join(', ') : '(none)';
+        } else if (field === 'customFields') {
+            const entries = Object.entries(value || {});
+            container.textContent = entries.length > 0
+                ? entries.map(([key, item]) => {
+                    const { label, text } = this.describeCustomField(key, item);
+                    return `${label}: ${text}`;
+                }).join(', ')
+                : '(none)';
+        } else if (field === 'thumbnail') {
+            container.innerHTML = safeImageData(value)
+                ? safeHTML`<img class="diff-thumbnail" src="${value}" alt="Mood image">`
+                : '(none)';
+        } else if (Array.isArray(value)) {
+            container.textContent = value.length > 0 ? value.join(', ') : '(none)';
+        } else {
+            container.textContent = value || '(empty)';
+        }
+        return container;
+    }
+
+    // Save the merged brief against the revision we just compared with
+    async saveMerge() {
+        const { mine, theirs, choices } = this.mergeState;
+        const merged = { ...mine };
+        Object.entries(choices).forEach(([field, choice]) => {
+            merged[field] = choice === 'mine' ? mine[field] : theirs[field];
+        });
+
+        this.closeMergeModal();
+        this.editBaseline = theirs;
+
+        try {
+            const updated = await this.api.updateBrief(this.currentEditId, merged, { baseRevision: theirs.revision });
+            this.recordUpdate(theirs, updated, `Edit "${updated.title}"`);
+            this.closeModal();
+            await this.loadBriefs();
+        } catch (error) {
+            // Someone saved again while we were merging - merge against the newest copy
+            if (error instanceof ConflictError) {
+                this.openMergeModal(merged, error.current);
+                return;
+            }
+            console.error('Failed to save merged brief:', error);
+            this.showError('Failed to save brief.', error, () => this.openMergeModal(merged, theirs));
+        }
+    }
+
+    // Version History Panel - timeline of saves with field diffs, newest first
+    async openHistoryModal(id) {
+        const brief = this.briefs.find(item => item.id === id);
+        let versions;
+        try {
+            versions = await this.api.history.get(id);
+        } catch (error) {
+            console.error('Failed to load history:', error);
+            this.showError('Failed to load history.', error, () => this.openHistoryModal(id));
+            return;
+        }
+        this.historyTitle.textContent = brief ? brief.title : 'Brief';
+        this.historyTimeline.innerHTML = '';
+
+        if (versions.length === 0) {
+            this.historyTimeline.innerHTML = '<p class="history-empty">No saved changes yet. Every update from now on will show up here.</p>';
+        }
+
+        versions.slice().reverse().forEach((version, index) => {
+            const previous = versions[versions.length - index - 2];
+            const isCurrent = index === 0;
+
+            const entry = document.createElement('div');
+            entry.className = 'history-entry' + (isCurrent ? ' current' : '');
+            entry.innerHTML = safeHTML`
+                <div class="history-entry-header">
+                    <span class="history-revision">Revision ${version.revision}${isCurrent ? ' · current' : ''}</span>
+                    <span class="history-date">${new Date(version.savedAt).toLocaleString()}</span>
+                </div>
+                <div class="history-diffs"></div>
+                ${isCurrent ? '' : safeHTML`<button class="btn btn-secondary btn-small history-restore">Restore this version</button>`}
+            `;
+
+            const diffs = entry.querySelector('.history-diffs');
+            if (!previous) {
+                diffs.innerHTML = '<div class="history-note">Earliest recorded version</div>';
+            } else {
+                BriefHistory.FIELDS.forEach(field => {
+                    if (!this.sameValue(previous.data[field], version.data[field])) {
+                        diffs.appendChild(this.renderFieldDiff(field, previous.data[field], version.data[field]));
+                    }
+                });
+            }
+
+            entry.querySelector('.history-restore')?.addEventListener('click', () => this.restoreVersion(id, version));
+            this.historyTimeline.appendChild(entry);
+        });
+
+        this.historyModal.classList.add('active');
+    }
+
+    closeHistoryModal() {
+        this.historyModal.classList.remove('active');
+    }
+
+    // One changed field: before → after (tags/references as added/removed)
+    renderFieldDiff(field, before, after) {
+        const row = document.createElement('div');
+        row.className = 'history-diff';
+        row.innerHTML = safeHTML`<div class="history-field">${FIELD_LABELS[field]}</div>`;
+
+        if (field === 'customFields') {
+            // One chip per field that changed
+            const changes = document.createElement('div');
+            changes.className = 'history-changes';
+            const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+            keys.filter(key => !this.sameValue((before || {})[key], (after || {})[key])).forEach(key => {
+                const previous = this.describeCustomField(key, (before || {})[key]);
+                const current = this.describeCustomField(key, (after || {})[key]);
+                changes.appendChild(this.createDiffChip(`${current.label}: ${previous.text} → ${current.text}`, 'diff-note'));
+            });
+            row.appendChild(changes);
+            return row;
+        }
+
+        if (field === 'tags' || field === 'references') {
+            // References are compared whole (a changed note counts) but shown by title/URL
+            const items = (list) => (list || []).map(item => field === 'references'
+                ? { key: JSON.stringify(Brief.normalizeReference(item)), label: this.referenceLabel(item) }
+                : { key: item, label: item });
+            const beforeItems = items(before);
+            const afterItems = items(after);
+            const added = afterItems.filter(item => !beforeItems.some(other => other.key === item.key));
+            const removed = beforeItems.filter(item => !afterItems.some(other => other.key === item.key));
+            const changes = document.createElement('div');
+            changes.className = 'history-changes';
+            added.forEach(item => changes.appendChild(this.createDiffChip(`+ ${item.label}`, 'diff-added')));
+            removed.forEach(item => changes.appendChild(this.createDiffChip(`− ${item.label}`, 'diff-removed')));
+            // Same items, new order
+            if (added.length === 0 && removed.length === 0) {
+                changes.appendChild(this.createDiffChip('reordered', 'diff-note'));
+            }
+            row.appendChild(changes);
+            return row;
+        }
+
+        const change = document.createElement('div');
+        change.className = 'history-change';
+        const beforeValue = this.renderFieldValue(field, before);
+        const afterValue = this.renderFieldValue(field, after);
+        beforeValue.classList.add('diff-before');
+        afterValue.classList.add('diff-after');
+        const arrow = document.createElement('span');
+        arrow.className = 'diff-arrow';
+        arrow.textContent = '→';
+        change.append(beforeValue, arrow, afterValue);
+        row.appendChild(change);
+        return row;
+    }
+
+    // Label and display text for a stored value - fields no longer in the schema show by key
+    describeCustomField(key, value) {
+        const field = this.schema.getFields().find(item => item.key === key);
+        let text = '—';
+        if (!BriefSchema.isEmpty(value)) {
+            text = field ? BriefSchema.formatValue(field, value) : String(value);
+        }
+        return { label: field ? field.label : key, text };
+    }
+
+    // "Title (url)" for a reference, old string references included
+    referenceLabel(ref) {
+        const { url, title } = Brief.normalizeReference(ref);
+        return title ? `${title} (${url})` : url;
+    }
+
+    createDiffChip(text, className) {
+        const chip = document.createElement('span');
+        chip.className = `tag ${className}`;
+        chip.textContent = text;
+        return chip;
+    }
+
+    // Restoring saves the old version as a new revision, so it can be undone from history too
+    async restoreVersion(id, version) {
+        try {
+            const before = await this.api.getBriefById(id);
+            const updated = await this.api.updateBrief(id, version.data);
+            this.recordUpdate(before, updated, `Restore revision ${version.revision} of "${updated.title}"`);
+            await this.loadBriefs();
+            await this.openHistoryModal(id);
+        } catch (error) {
+            console.error('Failed to restore version:', error);
+            this.showError('Failed to restore this version.', error, () => this.restoreVersion(id, version));
+        }
+    }
+
+    // Compare field values (arrays compared item by item)
+    sameValue(a, b) {
+        return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+    }
+
+    // DELETE operation - moves the brief to the trash, with an Undo toast instead of a confirmation
+    async deleteBrief(id) {
+        try {
+            const brief = await this.api.deleteBrief(id);
+            const entry = this.recordBatch(`Delete "${brief.title}"`, { deleted: [brief] });
+            if (this.currentRoute.name === 'brief' && this.currentRoute.id === id) {
+                this.navigateToVault();
+            }
+            await this.loadBriefs();
+            this.showUndoToast(entry, `Moved "${brief.title}" to the trash`);
+        } catch (error) {
+            console.error('Failed to delete brief:', error);
+            this.showError('Failed to delete brief.', error, () => this.deleteBrief(id));
+        }
+    }
+
+    // Global shortcuts - Ctrl/Cmd+K opens the command palette and Esc closes whatever is on top.
+    // The single keys only apply outside text fields with nothing open: n new brief, / search,
+    // arrows move between cards, and Enter, e and Delete open, edit and delete the focused card
+    handleShortcut(e) {
+        if (e.defaultPrevented) return;
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+            e.preventDefault();
+            if (this.commandPalette.classList.contains('active')) {
+                this.closeCommandPalette();
+            } else {
+                this.openCommandPalette();
+            }
+            return;
+        }
+        if (e.key === 'Escape') {
+            if (this.closeTopLayer()) e.preventDefault();
+            return;
+        }
+
+        const editing = e.target instanceof Element && e.target.closest('input, textarea, select, [contenteditable="true"]');
+        const layerOpen = document.querySelector('.modal.active') || this.tutorialOverlay.classList.contains('active');
+        if (e.ctrlKey || e.metaKey || e.altKey || editing || layerOpen) return;
+
+        if (e.key === 'n' || e.key === 'N') {
+            e.preventDefault();
+            this.openCreateModal();
+            return;
+        }
+        if (this.currentRoute.name !== 'vault') return;
+
+        const card = e.target instanceof Element ? e.target.closest('.brief-card') : null;
+        if (e.key === '/') {
+            e.preventDefault();
+            this.searchInput.focus();
+            this.searchInput.select();
+        } else if (e.key.startsWith('Arrow') && (card || e.target === document.body)) {
+            e.preventDefault();
+            this.moveCardFocus(card, e.key);
+        } else if (card && e.key === 'Enter' && e.target === card) {
+            e.preventDefault();
+            window.location.hash = `#/brief/${encodeURIComponent(card.dataset.id)}`;
+        } else if (card && e.key === 'e') {
+            e.preventDefault();
+            this.openEditModal(card.dataset.id);
+        } else if (card && e.key === 'Delete') {
+            e.preventDefault();
+            this.deleteFocusedCard(card);
+        }
+    }
+
+    // Esc closes the last open modal in the page (the dialog sits above the rest), then the tutorial
+    closeTopLayer() {
+        const closers = new Map([
+            [this.modal, () => this.closeModal()],
+            [this.templatesModal, () => this.closeTemplatesModal()],
+            [this.placeholderModal, () => this.closePlaceholderModal()],
+            [this.transferModal, () => this.closeTransferModal()],
+            [this.paletteModal, () => this.closePaletteModal()],
+            [this.historyModal, () => this.closeHistoryModal()],
+            [this.mergeModal, () => this.closeMergeModal()],
+            [this.settingsModal, () => this.closeSettingsModal()],
+            [this.schemaModal, () => this.closeSchemaModal()],
+            [this.workflowModal, () => this.closeWorkflowModal()],
+            [this.trashModal, () => this.closeTrashModal()],
+            [this.tagModal, () => this.closeTagManager()],
+            [this.commandPalette, () => this.closeCommandPalette()],
+            [this.dialogModal, () => this.settleDialog(false)]
+        ]);
+        const open = [...document.querySelectorAll('.modal.active')].filter(modal => closers.has(modal));
+        const top = open.find(modal => modal === this.dialogModal) || open[open.length - 1];
+        if (top) {
+            closers.get(top)();
+            return true;
+        }
+        if (this.tutorialOverlay.classList.contains('active')) {
+            this.closeTutorial();
+            return true;
+        }
+        return false;
+    }
+
+    // Focusable cards in reading order - per column on the board, the whole grid otherwise
+    getCardColumns() {
+        if (this.currentView === 'board') {
+            return [...this.briefsBoard.querySelectorAll('.board-column')]
+                .map(column => [...column.querySelectorAll('.brief-card')])
+                .filter(cards => cards.length > 0);
+        }
+        const cards = [...this.briefsGrid.querySelectorAll('.brief-card')];
+        return cards.length > 0 ? [cards] : [];
+    }
+
+    moveCardFocus(card, key) {
+        const columns = this.getCardColumns();
+        if (columns.length === 0) return;
+        if (!card) {
+            columns[0][0].focus();
+            return;
+        }
+
+        let column = columns.findIndex(cards => cards.includes(card));
+        let index = columns[column].indexOf(card);
+        if (this.currentView === 'board') {
+            // Left/right change column, keeping the row where the next column is long enough
+            if (key === 'ArrowLeft' || key === 'ArrowRight') {
+                column = Math.min(Math.max(column + (key === 'ArrowRight' ? 1 : -1), 0), columns.length - 1);
+                index = Math.min(index, columns[column].length - 1);
+            } else {
+                index += key === 'ArrowDown' ? 1 : -1;
+            }
+        } else {
+            // Cards on the first row share its top edge, which gives the number of columns
+            const cards = columns[0];
+            const perRow = cards.filter(item => item.offsetTop === cards[0].offsetTop).length || 1;
+            index += { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -perRow, ArrowDown: perRow }[key];
+        }
+        columns[column][index]?.focus();
+    }
+
+    // Delete from the keyboard, then focus the card that took its place
+    async deleteFocusedCard(card) {
+        const cards = this.getCardColumns().flat();
+        const index = cards.indexOf(card);
+        await this.deleteBrief(card.dataset.id);
+        const remaining = this.getCardColumns().flat();
+        remaining[Math.min(index, remaining.length - 1)]?.focus();
+    }
+
+    // Command palette - fuzzy search over app actions and briefs
+    openCommandPalette() {
+        this.commandReturnFocus = document.activeElement;
+        this.commandInput.value = '';
+        this.renderCommandResults();
+        this.commandPalette.classList.add('active');
+        this.commandInput.focus();
+    }
+
+    closeCommandPalette() {
+        this.commandPalette.classList.remove('active');
+        if (this.commandReturnFocus instanceof HTMLElement && this.commandReturnFocus.isConnected) {
+            this.commandReturnFocus.focus();
+        }
+        this.commandReturnFocus = null;
+    }
+
+    // Actions the palette can run; keywords match too but aren't highlighted
+    getCommands() {
+        const board = this.currentView === 'board';
+        return [
+            { icon: '+', label: 'New brief', shortcut: 'N', run: () => this.openCreateModal() },
+            { icon: '⌕', label: 'Search briefs', shortcut: '/', run: () => {
+                this.navigateToVault();
+                this.searchInput.focus();
+            } },
+            { icon: '◐', label: 'Toggle theme', keywords: 'dark light mode', run: () => this.toggleTheme() },
+            { icon: '📋', label: 'Open templates', run: () => this.openTemplatesModal() },
+            { icon: '⚡', label: 'Load demo data', keywords: 'seed sample examples', run: () => this.loadSeedData() },
+            { icon: '❓', label: 'Show tutorial', keywords: 'help onboarding', run: () => this.showTutorial() },
+            { icon: '⇅', label: 'Import or export briefs', keywords: 'backup json csv', run: () => this.openTransferModal() },
+            { icon: '🗑', label: 'Open trash', keywords: 'deleted restore', run: () => this.openTrashModal() },
+            { icon: '🏷', label: 'Manage tags', keywords: 'rename merge', run: () => this.openTagManager() },
+            { icon: '🔀', label: 'Edit status workflow', run: () => this.openWorkflowModal() },
+            { icon: '🧩', label: 'Edit custom fields', run: () => this.openSchemaModal() },
+            { icon: '⚙', label: 'Storage settings', keywords: 'backend sync', run: () => this.openSettingsModal() },
+            { icon: '▦', label: board ? 'Switch to grid view' : 'Switch to board view', keywords: 'kanban layout', run: () => {
+                this.navigateToVault();
+                this.setView(board ? 'grid' : 'board');
+            } },
+            { icon: '☑', label: this.selecting ? 'Leave select mode' : 'Select several briefs', keywords: 'bulk batch', run: () => {
+                this.navigateToVault();
+                this.setSelecting(!this.selecting);
+            } },
+            { icon: '↶', label: 'Undo', shortcut: 'Ctrl+Z', run: () => this.undo() },
+            { icon: '↷', label: 'Redo', shortcut: 'Ctrl+Shift+Z', run: () => this.redo() }
+        ];
+    }
+
+    // Best matches first; with no query, every action and then the latest briefs
+    renderCommandResults() {
+        const query = this.commandInput.value.trim();
+        const actions = this.getCommands().map(command => ({ ...command, type: 'action' }));
+        const briefs = [...this.briefs]
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+            .map(brief => ({
+                type: 'brief',
+                icon: '◇',
+                label: brief.title,
+                keywords: brief.tags.join(' '),
+                status: brief.status,
+                run: () => { window.location.hash = `#/brief/${encodeURIComponent(brief.id)}`; }
+            }));
+
+        if (!query) {
+            this.commandResults = [...actions, ...briefs.slice(0, 5)].map(item => ({ ...item, indices: [] }));
+        } else {
+            this.commandResults = [...actions, ...briefs]
+                .map(item => {
+                    const match = FuzzyMatch.match(query, item.label);
+                    if (match) return { ...item, ...match };
+                    const keywordMatch = item.keywords ? FuzzyMatch.match(query, item.keywords) : null;
+                    return keywordMatch ? { ...item, score: keywordMatch.score / 2, indices: [] } : null;
+                })
+                .filter(Boolean)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, 20);
+        }
+
+        this.commandList.innerHTML = this.commandResults.length > 0
+            ? safeHTML`${this.commandResults.map((item, index) => safeHTML`
+                <li class="command-item" id="command-${index}" role="option" aria-selected="false" data-index="${index}">
+                    <span class="command-icon" aria-hidden="true">${item.icon}</span>
+                    <span class="command-label">${trustedHTML(FuzzyMatch.highlight(item.label, item.indices))}</span>
+                    ${item.type === 'brief' ? this.renderStatusBadge(item.status) : ''}
+                    ${item.shortcut ? safeHTML`<kbd class="command-shortcut">${item.shortcut}</kbd>` : ''}
+                </li>`)}`
+            : '<li class="command-empty">No matching briefs or actions</li>';
+        this.setCommandIndex(0);
+    }
+
+    setCommandIndex(index) {
+        const items = [...this.commandList.querySelectorAll('.command-item')];
+        if (items.length === 0) {
+            this.commandInput.removeAttribute('aria-activedescendant');
+            return;
+        }
+        // Wrap around at either end
+        this.commandIndex = (index + items.length) % items.length;
+        items.forEach((item, i) => {
+            item.classList.toggle('active', i === this.commandIndex);
+            item.setAttribute('aria-selected', String(i === this.commandIndex));
+        });
+        this.commandInput.setAttribute('aria-activedescendant', items[this.commandIndex].id);
+        items[this.commandIndex].scrollIntoView({ block: 'nearest' });
+    }
+
+    // Close first so focus is back where it was before the action opens anything
+    runCommand(item) {
+        if (!item) return;
+        this.closeCommandPalette();
+        item.run();
+    }
+
+    // Bulk selection - select mode puts a checkbox on every card
+    setSelecting(selecting) {
+        this.selecting = selecting;
+        this.selectModeBtn.classList.toggle('active', selecting);
+        this.selectModeBtn.setAttribute('aria-pressed', String(selecting));
+        if (!selecting) {
+            this.selectedIds.clear();
+            this.lastSelectedId = null;
+            this.bulkReport.innerHTML = '';
+        }
+        this.renderBriefs(this.visibleBriefs);
+    }
+
+    // Shift-click checks or unchecks every card between the last one clicked and this one
+    toggleSelected(id, selected, range = false) {
+        const order = this.visibleBriefs.map(brief => brief.id);
+        const from = order.indexOf(this.lastSelectedId);
+        const to = order.indexOf(id);
+        const ids = range && from !== -1 && to !== -1
+            ? order.slice(Math.min(from, to), Math.max(from, to) + 1)
+            : [id];
+        ids.forEach(item => {
+            if (selected) {
+                this.selectedIds.add(item);
+            } else {
+                this.selectedIds.delete(item);
+            }
+        });
+        this.lastSelectedId = id;
+        this.updateSelection();
+    }
+
+    // Everything the current search and filter show
+    selectAllShown() {
+        this.visibleBriefs.forEach(brief => this.selectedIds.add(brief.id));
+        this.updateSelection();
+    }
+
+    clearSelection() {
+        this.selectedIds.clear();
+        this.lastSelectedId = null;
+        this.updateSelection();
+    }
+
+    // Sync the checkboxes and the bar without rebuilding the cards
+    updateSelection() {
+        [this.briefsGrid, this.briefsBoard].forEach(container => {
+            container.querySelectorAll('.brief-card').forEach(card => {
+                const selected = this.selectedIds.has(card.dataset.id);
+                card.classList.toggle('selected', selected);
+                const checkbox = card.querySelector('.card-select');
+                if (checkbox) checkbox.checked = selected;
+            });
+        });
+        this.updateBulkBar();
+    }
+
+    updateBulkBar() {
+        const count = this.selectedIds.size;
+        this.bulkBar.style.display = this.selecting && this.currentRoute.name === 'vault' ? '' : 'none';
+        this.bulkCount.textContent = `${count} of ${this.visibleBriefs.length} selected`;
+        this.bulkActions.querySelectorAll('button, select, input').forEach(control => {
+            control.disabled = count === 0 || this.bulkRunning;
+        });
+    }
+
+    // Selected briefs in the order they're shown
+    getSelectedBriefs() {
+        return this.visibleBriefs.filter(brief => this.selectedIds.has(brief.id));
+    }
+
+    countBriefs(count) {
+        return `${count} brief${count === 1 ? '' : 's'}`;
+    }
+
+    // Runs an operation on each brief through APIService, with a progress bar. Briefs it
+    // failed for are listed under the bar; returns what the operation gave back for the rest
+    async runBulk(verb, briefs, operation) {
+        this.bulkRunning = true;
+        this.bulkReport.innerHTML = '';
+        this.bulkProgressBar.value = 0;
+        this.bulkProgressText.textContent = `${verb} 0 of ${briefs.length}…`;
+        this.bulkProgress.style.display = '';
+        this.updateBulkBar();
+
+        const { succeeded, failed } = await this.api.runBatch(briefs.map(brief => brief.id), operation, (done, total) => {
+            this.bulkProgressBar.value = done / total;
+            this.bulkProgressText.textContent = `${verb} ${done} of ${total}…`;
+        });
+
+        this.bulkRunning = false;
+        this.bulkProgress.style.display = 'none';
+        await this.loadBriefs();
+
+        if (failed.length > 0) {
+            const titleOf = (id) => briefs.find(brief => brief.id === id).title;
+            this.bulkReport.innerHTML = safeHTML`${failed.map(({ id, error }) => safeHTML`
+                <li><strong>${titleOf(id)}</strong>: ${error.message}</li>
+            `)}`;
+            this.showToast(`${failed.length} of ${this.countBriefs(briefs.length)} failed - the reasons are listed under the bulk actions`, { type: 'error' });
+        }
+        return succeeded;
+    }
+
+    async bulkSetStatus(status) {
+        const briefs = this.getSelectedBriefs().filter(brief => brief.status !== status);
+        if (briefs.length === 0) return;
+
+        const updated = await this.runBulk('Moving', briefs, id => this.api.updateBrief(id, { status }));
+        if (updated.length === 0) return;
+        const entry = this.recordUpdates(`Move ${this.countBriefs(updated.length)} to ${this.api.workflow.label(status)}`,
+            updated.map(after => ({ before: briefs.find(brief => brief.id === after.id), after })));
+        this.showUndoToast(entry);
+    }
+
+    // Add the tag to the selected briefs that don't have it, or remove it from those that do
+    async bulkChangeTag(mode) {
+        const tag = Brief.normalizeTag(this.bulkTagInput.value);
+        if (!tag) {
+            this.bulkTagInput.focus();
+            return;
+        }
+        const adding = mode === 'add';
+        const briefs = this.getSelectedBriefs().filter(brief => brief.tags.includes(tag) !== adding);
+        if (briefs.length === 0) return;
+
+        const updated = await this.runBulk('Tagging', briefs, id => {
+            const { tags } = briefs.find(brief => brief.id === id);
+            return this.api.updateBrief(id, { tags: adding ? [...tags, tag] : tags.filter(item => item !== tag) });
+        });
+        if (updated.length === 0) return;
+        this.bulkTagInput.value = '';
+        const label = adding
+            ? `Tag ${this.countBriefs(updated.length)} "${tag}"`
+            : `Remove tag "${tag}" from ${this.countBriefs(updated.length)}`;
+        const entry = this.recordUpdates(label, updated.map(after => ({ before: briefs.find(brief => brief.id === after.id), after })));
+        this.showUndoToast(entry);
+    }
+
+    async bulkDuplicate() {
+        const created = await this.runBulk('Duplicating', this.getSelectedBriefs(), id => this.api.duplicateBrief(id));
+        if (created.length === 0) return;
+        const entry = this.recordBatch(`Duplicate ${this.countBriefs(created.length)}`, { created });
+        this.showUndoToast(entry);
+    }
+
+    // Like a single delete - no confirmation, the briefs go to the trash with an Undo
+    async bulkDelete() {
+        const deleted = await this.runBulk('Deleting', this.getSelectedBriefs(), id => this.api.deleteBrief(id));
+        if (deleted.length === 0) return;
+        const entry = this.recordBatch(`Delete ${this.countBriefs(deleted.length)}`, { deleted });
+        this.showUndoToast(entry, `Moved ${this.countBriefs(deleted.length)} to the trash`);
+    }
+
+    // Tags in use with how many of the briefs have each, most used first
+    getTagCounts(briefs = this.briefs) {
+        const counts = new Map();
+        briefs.forEach(brief => brief.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+        return [...counts]
+            .map(([tag, count]) => ({ tag, count }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    }
+
+    // Tag cloud - counts are for the briefs on screen, so they narrow along with the search.
+    // Picked tags stay listed even when nothing matches, so they can be unpicked
+    renderTagCloud(briefs) {
+        const counts = this.getTagCounts(briefs);
+        this.activeTags
+            .filter(tag => !counts.some(item => item.tag === tag))
+            .forEach(tag => counts.push({ tag, count: 0 }));
+
+        this.tagCloud.style.display = counts.length > 0 && this.currentRoute.name === 'vault' ? '' : 'none';
+        this.clearTagFilterBtn.style.display = this.activeTags.length > 0 ? '' : 'none';
+        const most = Math.max(1, ...counts.map(item => item.count));
+        this.tagCloudList.innerHTML = safeHTML`${counts.map(({ tag, count }) => {
+            const active = this.activeTags.includes(tag);
+            return safeHTML`<button type="button" class="tag-facet${trustedHTML(active ? ' active' : '')}" data-tag="${tag}"
+                aria-pressed="${String(active)}" style="--weight: ${(count / most).toFixed(2)}">${tag} <span class="tag-facet-count">${count}</span></button>`;
+        })}`;
+    }
+
+    toggleTagFilter(tag) {
+        this.activeTags = this.activeTags.includes(tag)
+            ? this.activeTags.filter(item => item !== tag)
+            : [...this.activeTags, tag];
+        this.filterBriefs();
+    }
+
+    // Tag Manager - rename tags across every brief; renaming onto a tag in use merges them
+    openTagManager() {
+        this.renderTagManager();
+        this.tagModal.classList.add('active');
+    }
+
+    closeTagManager() {
+        this.tagModal.classList.remove('active');
+    }
+
+    renderTagManager() {
+        const counts = this.getTagCounts();
+        // Tags that only differ in punctuation, e.g. "data-viz" and "dataviz", are offered a merge
+        // into whichever is used more
+        const key = (tag) => tag.replace(/[^\p{L}\p{N}]/gu, '');
+        const mergeTarget = (tag, index) => counts.slice(0, index).find(other => key(other.tag) === key(tag));
+
+        if (counts.length === 0) {
+            this.tagManagerList.innerHTML = '<p class="detail-empty">No tags yet.</p>';
+            return;
+        }
+        this.tagManagerList.innerHTML = safeHTML`${counts.map(({ tag, count }, index) => {
+            const target = mergeTarget(tag, index);
+            return safeHTML`
+            <div class="tag-manager-row" data-tag="${tag}">
+                <span class="tag">${tag}</span>
+                <span class="tag-manager-count">${this.countBriefs(count)}</span>
+                <input type="text" class="tag-rename-input" value="${tag}" aria-label="New name for ${tag}">
+                <button type="button" class="btn btn-secondary btn-small" data-action="rename">Rename</button>
+                ${target
+                    ? safeHTML`<button type="button" class="btn btn-secondary btn-small" data-action="merge" data-into="${target.tag}">Merge into ${target.tag}</button>`
+                    : ''}
+            </div>`;
+        })}`;
+    }
+
+    async renameTag(from, name) {
+        const to = Brief.normalizeTag(name);
+        if (!to || to === from) return;
+
+        const briefs = this.briefs.filter(brief => brief.tags.includes(from));
+        const merging = this.briefs.some(brief => brief.tags.includes(to));
+        if (merging) {
+            const confirmed = await this.openDialog({
+                title: 'Merge Tags',
+                message: `"${to}" is already a tag. Merge "${from}" into it? ${this.countBriefs(briefs.length)} will be tagged "${to}" instead.`,
+                confirmLabel: 'Merge'
+            });
+            if (!confirmed) return;
+        }
+
+        const { succeeded, failed } = await this.api.runBatch(briefs.map(brief => brief.id), id => {
+            const { tags } = briefs.find(brief => brief.id === id);
+            return this.api.updateBrief(id, { tags: Brief.normalizeTags(tags.map(tag => (tag === from ? to : tag))) });
+        });
+        // A tag filter on the old name follows the rename
+        this.activeTags = Brief.normalizeTags(this.activeTags.map(tag => (tag === from ? to : tag)));
+        await this.loadBriefs();
+        this.renderTagManager();
+
+        if (succeeded.length > 0) {
+            const label = merging ? `Merge tag "${from}" into "${to}"` : `Rename tag "${from}" to "${to}"`;
+            const entry = this.recordUpdates(label, succeeded.map(after => ({ before: briefs.find(brief => brief.id === after.id), after })));
+            this.showUndoToast(entry, `${label} on ${this.countBriefs(succeeded.length)}`);
+        }
+        if (failed.length > 0) {
+            this.showError(`Couldn't retag ${this.countBriefs(failed.length)}.`, failed[0].error, () => this.renameTag(from, to));
+        }
+    }
+
+    // Search and filter functionality
+    // Uses the SearchQuery language, then the chosen sort order
+    filterBriefs() {
+        const statusFilter = this.statusFilter.value;
+        this.activeQuery = new SearchQuery(this.searchInput.value, this.schema.getFields());
+
+        const results = this.briefs
+            .filter(brief => statusFilter === 'all' || brief.status === statusFilter)
+            .filter(brief => this.activeTags.every(tag => brief.tags.includes(tag)))
+            .map(brief => ({ brief, score: this.activeQuery.score(brief) }))
+            .filter(result => result.score !== null);
+
+        // Stable sort - ties keep their storage order
+        const compare = this.getSortComparator(this.sortSelect.value);
+        results.sort((a, b) => compare(a.brief, b.brief) || b.score - a.score);
+
+        this.syncFilterHash();
+        this.renderBriefs(results.map(result => result.brief));
+    }
+
+    // ================================
+    // ROUTING & BRIEF DETAIL PAGE
+    // ================================
+
+    parseRoute(hash) {
+        const match = /^#\/brief\/([^/?]+)/.exec(hash);
+        return match ? { name: 'brief', id: decodeURIComponent(match[1]) } : { name: 'vault' };
+    }
+
+    // Runs on load and on every hashchange (links, back/forward)
+    handleRoute() {
+        const route = this.parseRoute(window.location.hash);
+        this.currentRoute = route;
+
+        if (route.name === 'brief') {
+            this.showBriefDetail(route.id);
+            return;
+        }
+
+        this.lastVaultHash = window.location.hash;
+        this.briefDetail.classList.remove('active');
+        this.controls.style.display = '';
+        this.setFilterState(this.readFilterHash());
+        this.filterBriefs();
+    }
+
+    // Back to the grid with the filters that were active before
+    navigateToVault() {
+        window.location.hash = this.lastVaultHash || '#/';
+    }
+
+    // READ - full page for one brief
+    async showBriefDetail(id) {
+        this.controls.style.display = 'none';
+        this.bulkBar.style.display = 'none';
+        this.tagCloud.style.display = 'none';
+        this.briefsGrid.style.display = 'none';
+        this.briefsBoard.style.display = 'none';
+        this.emptyState.classList.remove('active');
+        this.emptyState.style.display = 'none';
+        this.briefDetail.classList.add('active');
+
+        let brief;
+        try {
+            brief = await this.api.getBriefById(id);
+        } catch (error) {
+            console.error('Failed to load brief:', error);
+        }
+
+        // The route may have changed while loading
+        if (this.currentRoute.name !== 'brief' || this.currentRoute.id !== id) return;
+
+        if (!brief) {
+            this.detailContent.innerHTML = `
+                <div class="detail-missing">
+                    <div class="empty-icon">◇</div>
+                    <h2>Brief not found</h2>
+                    <p class="empty-subtitle">It may have been deleted, or the link is from another vault.</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.renderBriefDetail(brief);
+    }
+
+    renderBriefDetail(brief) {
+        const syncState = this.api.getSyncState(brief.id);
+
+        this.detailContent.innerHTML = safeHTML`
+            <div class="detail-header">
+                <div>
+                    <h2 class="detail-title"></h2>
+                    <div class="detail-meta">
+                        <span>Created ${new Date(brief.createdAt).toLocaleString()}</span>
+                        <span>Updated ${new Date(brief.updatedAt).toLocaleString()}</span>
+                        <span>Revision ${brief.revision}</span>
+                        ${syncState ? safeHTML`<span class="sync-${syncState}">${syncState === 'pending' ? '⟳ Pending sync' : '✓ Synced'}</span>` : ''}
+                    </div>
+                </div>
+                ${this.renderStatusBadge(brief.status)}
+            </div>
+
+            <section class="detail-section">
+                <h3 class="section-title">Description</h3>
+                <div class="detail-description markdown-body"></div>
+            </section>
+
+            ${this.schema.getFields().length > 0 ? safeHTML`<section class="detail-section">
+                <h3 class="section-title">Details</h3>
+                ${this.renderCustomFieldList(brief, 'detail-fields') || safeHTML`<p class="detail-empty">No custom fields filled in yet.</p>`}
+            </section>` : ''}
+
+            <section class="detail-section">
+                <h3 class="section-title">Color Palette</h3>
+                ${safeImageData(brief.thumbnail) ? safeHTML`<img class="detail-thumbnail" src="${brief.thumbnail}" alt="Mood image">` : ''}
+                <div class="detail-palette"></div>
+            </section>
+
+            <section class="detail-section">
+                <h3 class="section-title">References</h3>
+                <div class="detail-references"></div>
+            </section>
+
+            <section class="detail-section">
+                <h3 class="section-title">Attachments</h3>
+                ${brief.attachments.length > 0
+                    ? safeHTML`<div class="attachment-gallery detail-attachments">${brief.attachments.map(file => this.renderAttachmentTile(file, { showName: true }))}</div>`
+                    : safeHTML`<p class="detail-empty">No attachments yet.</p>`}
+            </section>
+
+            <section class="detail-section">
+                <h3 class="section-title">Tags</h3>
+                <div class="card-tags detail-tags"></div>
+            </section>
+
+            <section class="detail-section">
+                <h3 class="section-title">Status History</h3>
+                ${this.renderStatusHistory(brief)}
+            </section>
+
+            <div class="card-actions detail-actions">
+                <button class="btn btn-secondary btn-small" data-action="edit">Edit</button>
+                <button class="btn btn-secondary btn-small" data-action="history">History</button>
+                <button class="btn btn-secondary btn-small" data-action="palette" ${trustedHTML(brief.colors.length === 0 ? 'disabled' : '')}>Export Palette</button>
+                <button class="btn btn-secondary btn-small" data-action="template">Save as Template</button>
+                <button class="btn btn-danger btn-small" data-action="delete">Delete</button>
+            </div>
+        `;
+
+        this.detailContent.querySelector('.detail-title').textContent = brief.title;
+        this.detailContent.querySelector('.detail-description').innerHTML = brief.description
+            ? MarkdownRenderer.render(brief.description)
+            : '<p class="detail-empty">No description provided.</p>';
+
+        const palette = this.detailContent.querySelector('.detail-palette');
+        if (brief.colors.length === 0) {
+            palette.innerHTML = '<p class="detail-empty">No colors yet.</p>';
+        }
+        brief.colors.forEach((color, index) => palette.appendChild(this.createDetailSwatch(color, brief.colorRoles[index])));
+
+        const references = this.detailContent.querySelector('.detail-references');
+        if (brief.references.length === 0) {
+            references.innerHTML = '<p class="detail-empty">No references yet.</p>';
+        }
+        brief.references.forEach(ref => references.appendChild(this.createReferencePreview(ref)));
+        this.loadAttachmentTiles(this.detailContent);
+
+        const tags = this.detailContent.querySelector('.detail-tags');
+        if (brief.tags.length === 0) {
+            tags.innerHTML = '<p class="detail-empty">No tags yet.</p>';
+        }
+        brief.tags.forEach(tag => {
+            const chip = document.createElement('span');
+            chip.className = 'tag';
+            chip.textContent = tag;
+            tags.appendChild(chip);
+        });
+
+        this.detailContent.querySelector('[data-action="edit"]').addEventListener('click', () => this.openEditModal(brief.id));
+        this.detailContent.querySelector('[data-action="history"]').addEventListener('click', () => this.openHistoryModal(brief.id));
+        this.detailContent.querySelector('[data-action="palette"]').addEventListener('click', () => this.openPaletteModal(brief));
+        this.detailContent.querySelector('[data-action="template"]').addEventListener('click', () => this.saveBriefAsTemplate(brief));
+        this.detailContent.querySelector('[data-action="delete"]').addEventListener('click', () => this.deleteBrief(brief.id));
+    }
+
+    // Total time per status, then each status the brief entered, newest first
+    renderStatusHistory(brief) {
+        if (brief.statusHistory.length === 0) {
+            return safeHTML`<p class="detail-empty">No status changes recorded yet.</p>`;
+        }
+
+        return safeHTML`
+            <div class="status-totals">
+                ${StatusWorkflow.totals(brief.statusHistory).map(({ status, ms }) => safeHTML`<span class="status-total">
+                    ${this.renderStatusBadge(status)} ${StatusWorkflow.formatDuration(ms)}
+                </span>`)}
+            </div>
+            <ol class="status-timeline">
+                ${StatusWorkflow.stages(brief.statusHistory).reverse().map(stage => safeHTML`<li class="status-stage">
+                    ${this.renderStatusBadge(stage.status)}
+                    <span class="status-stage-date">${new Date(stage.at).toLocaleString()}</span>
+                    <span class="status-stage-duration">${StatusWorkflow.formatDuration(stage.ms)}${stage.current ? ' so far' : ''}</span>
+                </li>`)}
+            </ol>
+        `;
+    }
+
+    // Large swatch with hex, RGB and HSL values
+    createDetailSwatch(color, role) {
+        const rgb = ColorUtils.hexToRgb(color);
+        const swatch = document.createElement('div');
+        swatch.className = 'detail-swatch';
+        swatch.innerHTML = `
+            <div class="detail-swatch-color"></div>
+            <div class="detail-swatch-values">
+                <span class="detail-swatch-role"></span>
+                <code></code>
+                <code></code>
+                <code></code>
+            </div>
+        `;
+        const [hex, rgbValue, hslValue] = swatch.querySelectorAll('code');
+        hex.textContent = color;
+        swatch.querySelector('.detail-swatch-role').textContent = role || '';
+        if (rgb && safeColor(color)) {
+            swatch.querySelector('.detail-swatch-color').style.backgroundColor = safeColor(color);
+            rgbValue.textContent = ColorUtils.formatRgb(rgb);
+            hslValue.textContent = ColorUtils.formatHsl(ColorUtils.rgbToHsl(rgb));
+        }
+        return swatch;
+    }
+
+    // Link preview card - site icon, title, domain and path, note and category
+    createReferencePreview(ref) {
+        const { url, title, note, category } = ref;
+        const preview = document.createElement('a');
+        preview.className = 'reference-preview';
+        preview.target = '_blank';
+        preview.rel = 'noopener noreferrer';
+
+        // Only http/https links are clickable - anything else is plain text
+        const href = safeUrl(url);
+        const parsed = href ? new URL(href) : null;
+
+        preview.innerHTML = safeHTML`
+            <img class="reference-icon" alt="" loading="lazy">
+            <div class="reference-text">
+                ${title ? safeHTML`<div class="reference-title">${title}</div>` : ''}
+                <div class="reference-domain"></div>
+                <div class="reference-path"></div>
+                ${note ? safeHTML`<div class="reference-note">${note}</div>` : ''}
+            </div>
+            <span class="reference-category category-${category}">${category}</span>
+        `;
+        const icon = preview.querySelector('.reference-icon');
+        if (parsed) {
+            preview.href = parsed.href;
+            icon.src = `${parsed.origin}/favicon.ico`;
+            icon.addEventListener('error', () => icon.remove());
+            preview.querySelector('.reference-domain').textContent = parsed.hostname.replace(/^www\./, '');
+            preview.querySelector('.reference-path').textContent = this.truncateUrl(parsed.pathname + parsed.search);
+        } else {
+            icon.remove();
+            preview.querySelector('.reference-domain').textContent = url;
+        }
+        return preview;
+    }
+
+    // Relevance sorting is handled by the search score tie-breaker
+    getSortComparator(sort) {
+        const statusOrder = this.getStatusOptions().map(option => option.value);
+        if (sort.startsWith('field:')) {
+            const field = this.schema.getFields().find(item => `field:${item.key}` === sort);
+            return field ? BriefSchema.comparator(field) : () => 0;
+        }
+        switch (sort) {
+            case 'created-desc':
+                return (a, b) => b.createdAt.localeCompare(a.createdAt);
+            case 'created-asc':
+                return (a, b) => a.createdAt.localeCompare(b.createdAt);
+            case 'title':
+                return (a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base' });
+            case 'status':
+                return (a, b) => statusOrder.indexOf(a.status) - statusOrder.indexOf(b.status);
+            case 'updated-desc':
+                return (a, b) => b.updatedAt.localeCompare(a.updatedAt);
+            default:
+                return () => 0;
+        }
+    }
+
+    // Built-in sort options plus one per custom field ("field:<key>")
+    renderSortOptions() {
+        const selected = this.sortSelect.value;
+        this.sortSelect.querySelector('optgroup')?.remove();
+        const fields = this.schema.getFields();
+        if (fields.length > 0) {
+            const group = document.createElement('optgroup');
+            group.label = 'Custom fields';
+            group.innerHTML = safeHTML`${fields.map(field => safeHTML`<option value="field:${field.key}">Sort: ${field.label}</option>`)}`;
+            this.sortSelect.appendChild(group);
+        }
+        this.sortSelect.value = Array.from(this.sortSelect.options).some(option => option.value === selected) ? selected : 'relevance';
+    }
+
+    // Filter state - search text, status filter and sort
+    getFilterState() {
+        return {
+            q: this.searchInput.value,
+            status: this.statusFilter.value,
+            sort: this.sortSelect.value,
+            tags: [...this.activeTags]
+        };
+    }
+
+    // Unknown status/sort values (e.g. from an old link) fall back to the defaults
+    setFilterState({ q = '', status = 'all', sort = 'relevance', tags = [] } = {}) {
+        const hasOption = (select, value) => Array.from(select.options).some(option => option.value === value);
+        this.searchInput.value = q;
+        this.statusFilter.value = hasOption(this.statusFilter, status) ? status : 'all';
+        this.sortSelect.value = hasOption(this.sortSelect, sort) ? sort : 'relevance';
+        this.activeTags = Brief.normalizeTags(tags);
+    }
+
+    // Shareable links - the filter state lives in the URL hash, e.g. #/?q=tag:web&sort=title
+    readFilterHash() {
+        const match = /^#\/?\?(.*)$/.exec(window.location.hash);
+        if (!match) return {};
+        const params = new URLSearchParams(match[1]);
+        return {
+            q: params.get('q') || '',
+            status: params.get('status') || 'all',
+            sort: params.get('sort') || 'relevance',
+            tags: params.get('tags') ? params.get('tags').split(',') : []
+        };
+    }
+
+    // replaceState so typing in the search box doesn't flood the back button
+    syncFilterHash() {
+        // The detail page owns the hash while it's open
+        if (this.currentRoute.name !== 'vault') return;
 
-        // References HTML
-        const referencesHTML = brief.references.length > 0
-            ? `<div class="card-references">
-                <div class="references-title">References</div>
-                ${brief.references.map(ref => 
-                    `<a href="${ref}" target="_blank" class="reference-link">${this.truncateUrl(ref)}</a>`
-                ).join('')}
-               </div>`
-            : '';
+        const { q, status, sort, tags } = this.getFilterState();
+        const params = new URLSearchParams();
+        if (q) params.set('q', q);
+        if (status !== 'all') params.set('status', status);
+        if (sort !== 'relevance') params.set('sort', sort);
+        if (tags.length > 0) params.set('tags', tags.join(','));
 
-        card.innerHTML = `
-            <div class="card-header">
-                <h3 class="card-title">${brief.title}</h3>
-                <span class="card-status status-${brief.status}">${brief.status.replace('-', ' ')}</span>
+        const query = params.toString();
+        const hash = query ? `#/?${query}` : '';
+        this.lastVaultHash = hash;
+        if (hash !== window.location.hash) {
+            history.replaceState(null, '', hash || window.location.pathname + window.location.search);
+        }
+    }
+
+    // Saved Views - named combinations of search, status filter, tag filter and sort
+    loadSavedViews() {
+        try {
+            return JSON.parse(localStorage.getItem('briefVault_savedViews')) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    renderSavedViews(selectedName = '') {
+        const views = this.loadSavedViews();
+        this.savedViewSelect.innerHTML = safeHTML`<option value="">Saved views…</option>${
+            views.map(view => safeHTML`<option value="${view.name}">${view.name}</option>`)}`;
+        this.savedViewSelect.value = selectedName;
+        this.deleteViewBtn.disabled = !selectedName;
+    }
+
+    async saveCurrentView() {
+        const name = await this.openDialog({
+            title: 'Save View',
+            confirmLabel: 'Save',
+            input: { label: 'Name this view', value: this.savedViewSelect.value, placeholder: 'e.g. Mobile ideas' }
+        });
+        if (!name || !name.trim()) return;
+
+        // Saving under an existing name overwrites it
+        const views = this.loadSavedViews().filter(view => view.name !== name.trim());
+        views.push({ name: name.trim(), ...this.getFilterState() });
+        localStorage.setItem('briefVault_savedViews', JSON.stringify(views));
+        this.renderSavedViews(name.trim());
+    }
+
+    applySavedView(name) {
+        const view = this.loadSavedViews().find(item => item.name === name);
+        this.deleteViewBtn.disabled = !view;
+        if (!view) return;
+        this.setFilterState(view);
+        this.filterBriefs();
+    }
+
+    async deleteSavedView() {
+        const name = this.savedViewSelect.value;
+        if (!name || !await this.openDialog({ title: 'Delete View', message: `Delete the saved view "${name}"?`, confirmLabel: 'Delete', danger: true })) {
+            return;
+        }
+
+        const views = this.loadSavedViews().filter(view => view.name !== name);
+        localStorage.setItem('briefVault_savedViews', JSON.stringify(views));
+        this.renderSavedViews();
+    }
+
+    // Theme Toggle - Dark/Light Mode
+    initTheme() {
+        const savedTheme = localStorage.getItem('briefVault_theme') || 'dark';
+        document.documentElement.setAttribute('data-theme', savedTheme);
+    }
+
+    toggleTheme() {
+        const currentTheme = document.documentElement.getAttribute('data-theme');
+        const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
+        
+        document.documentElement.setAttribute('data-theme', newTheme);
+        localStorage.setItem('briefVault_theme', newTheme);
+    }
+
+    // Show Interactive Tutorial on Every Load
+    checkFirstVisit() {
+        // Always show tutorial for demo/submission purposes
+        // Users can skip it if they want
+        setTimeout(() => {
+            if (this.tutorialOverlay) {
+                this.tutorialOverlay.classList.add('active');
+            }
+        }, 1000);
+    }
+
+    // Tutorial Navigation
+    nextTutorialStep() {
+        if (this.currentTutorialStep < 3) {
+            this.currentTutorialStep++;
+            this.updateTutorialStep();
+        }
+    }
+
+    prevTutorialStep() {
+        if (this.currentTutorialStep > 0) {
+            this.currentTutorialStep--;
+            this.updateTutorialStep();
+        }
+    }
+
+    updateTutorialStep() {
+        // Hide all steps
+        document.querySelectorAll('.tutorial-step').forEach(step => {
+            step.classList.remove('active');
+        });
+        
+        // Show current step
+        document.querySelector(`.tutorial-step[data-step="${this.currentTutorialStep}"]`).classList.add('active');
+        
+        // Update progress dots
+        document.querySelectorAll('.progress-dot').forEach((dot, index) => {
+            dot.classList.remove('active', 'completed');
+            if (index < this.currentTutorialStep) {
+                dot.classList.add('completed');
+            } else if (index === this.currentTutorialStep) {
+                dot.classList.add('active');
+            }
+        });
+        
+        // Update buttons
+        this.tutorialPrev.style.display = this.currentTutorialStep === 0 ? 'none' : 'flex';
+        this.tutorialNext.style.display = this.currentTutorialStep === 3 ? 'none' : 'flex';
+        this.tutorialFinish.style.display = this.currentTutorialStep === 3 ? 'flex' : 'none';
+    }
+
+    closeTutorial() {
+        this.tutorialOverlay.classList.remove('active');
+        this.currentTutorialStep = 0;
+        this.updateTutorialStep();
+    }
+
+    // Show tutorial manually (via help button)
+    showTutorial() {
+        this.currentTutorialStep = 0;
+        this.updateTutorialStep();
+        this.tutorialOverlay.classList.add('active');
+    }
+
+    // Templates Modal
+    openTemplatesModal() {
+        this.renderTemplates();
+        this.templatesModal.classList.add('active');
+    }
+
+    closeTemplatesModal() {
+        this.templatesModal.classList.remove('active');
+    }
+
+    renderTemplates() {
+        const templates = this.templateLibrary.getAll();
+
+        if (templates.length === 0) {
+            this.templatesGrid.innerHTML = '<p class="templates-empty">No templates yet. Create one, import a file, or use "Save as Template" on any brief.</p>';
+            return;
+        }
+
+        this.templatesGrid.innerHTML = safeHTML`${templates.map((template, index) => safeHTML`
+            <div class="template-card" data-index="${index}" tabindex="0" role="button" aria-label="Use template ${template.title}">
+                <div class="template-actions">
+                    <button type="button" class="template-action" data-action="up" title="Move up" aria-label="Move up" ${trustedHTML(index === 0 ? 'disabled' : '')}>↑</button>
+                    <button type="button" class="template-action" data-action="down" title="Move down" aria-label="Move down" ${trustedHTML(index === templates.length - 1 ? 'disabled' : '')}>↓</button>
+                    <button type="button" class="template-action" data-action="edit" title="Edit template" aria-label="Edit template">✎</button>
+                    <button type="button" class="template-action" data-action="delete" title="Delete template" aria-label="Delete template">🗑</button>
+                </div>
+                <div class="template-icon">${template.icon}</div>
+                <div class="template-title">${template.title}</div>
+                <div class="template-desc">${template.description}</div>
+                <div class="template-preview">
+                    ${template.colors.slice(0, 5).map(color => safeColor(color)
+                        ? safeHTML`<span style="background-color: ${safeColor(color)};"></span>`
+                        : '')}
+                </div>
+                ${TemplateLibrary.placeholders(template).length > 0
+                    ? safeHTML`<div class="template-placeholders">${TemplateLibrary.placeholders(template).map(name => safeHTML`<code>{{${name}}}</code>`)}</div>`
+                    : ''}
             </div>
-            <p class="card-description">${brief.description || 'No description provided.'}</p>
-            ${colorsHTML}
-            ${tagsHTML}
-            ${referencesHTML}
-            <div class="card-actions">
-                <button class="btn btn-secondary btn-small edit-btn" data-id="${brief.id}">Edit</button>
-                <button class="btn btn-danger btn-small delete-btn" data-id="${brief.id}">Delete</button>
+        `)}`;
+
+        // Attach click handlers - templates are looked up by index, never parsed back out of the DOM
+        this.templatesGrid.querySelectorAll('.template-card').forEach(card => {
+            const template = templates[Number(card.dataset.index)];
+            card.addEventListener('click', () => this.useTemplate(template));
+            card.addEventListener('keydown', (e) => {
+                if (e.target === card && (e.key === 'Enter' || e.key === ' ')) {
+                    e.preventDefault();
+                    this.useTemplate(template);
+                }
+            });
+            card.querySelectorAll('.template-action').forEach(button => {
+                button.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.handleTemplateAction(button.dataset.action, template);
+                });
+            });
+        });
+    }
+
+    async handleTemplateAction(action, template) {
+        if (action === 'up' || action === 'down') {
+            this.templateLibrary.move(template.id, action === 'up' ? -1 : 1);
+            this.renderTemplates();
+        } else if (action === 'edit') {
+            this.openTemplateEditor(template);
+        } else if (action === 'delete') {
+            if (!await this.openDialog({ title: 'Delete Template', message: `Delete the "${template.title}" template?`, confirmLabel: 'Delete', danger: true })) {
+                return;
+            }
+            this.templateLibrary.remove(template.id);
+            this.renderTemplates();
+        }
+    }
+
+    // Templates are edited in the brief form; saving goes to the library instead
+    openTemplateEditor(template = null) {
+        this.closeTemplatesModal();
+        this.openCreateModal();
+        this.templateEdit = { id: template ? template.id : null, icon: template ? template.icon : '📋' };
+        this.briefForm.classList.add('template-mode');
+        // Custom field values belong to briefs - no hidden required inputs to block saving
+        this.customFieldsContainer.innerHTML = '';
+        this.modalTitle.textContent = template ? 'EDIT TEMPLATE' : 'NEW TEMPLATE';
+        this.submitBtnText.textContent = 'Save Template';
+        this.templateIconInput.value = this.templateEdit.icon;
+        if (template) {
+            this.fillBriefForm(template);
+        }
+    }
+
+    // "Save as Template" - start a new template from a brief's fields
+    saveBriefAsTemplate(brief) {
+        this.openTemplateEditor();
+        this.fillBriefForm(brief);
+        this.modalTitle.textContent = 'SAVE AS TEMPLATE';
+    }
+
+    saveTemplateForm(data) {
+        const template = {
+            ...data,
+            id: this.templateEdit.id || undefined,
+            icon: this.templateIconInput.value.trim() || '📋'
+        };
+        const errors = TemplateLibrary.validate(template, this.api.workflow.ids());
+        if (errors.length > 0) {
+            this.showToast('Could not save template:\n' + errors.join('\n'), { type: 'error' });
+            return;
+        }
+        this.templateLibrary.save(template);
+        this.closeModal();
+        this.openTemplatesModal();
+    }
+
+    exportTemplates() {
+        const date = new Date().toISOString().slice(0, 10);
+        this.downloadFile(`brief-vault-templates-${date}.json`, this.templateLibrary.toJSON(), 'application/json');
+    }
+
+    async importTemplates(file) {
+        if (!file) return;
+        try {
+            const { added, updated, errors } = this.templateLibrary.import(await file.text(), this.api.workflow.ids());
+            this.renderTemplates();
+            const report = errors.map(({ row, title, messages }) => `• #${row}${title ? ` "${title}"` : ''}: ${messages.join('; ')}`);
+            this.showToast([`📋 Templates imported: ${added} added, ${updated} updated, ${errors.length} rejected.`, ...report].join('\n'), {
+                type: errors.length > 0 ? 'error' : 'success'
+            });
+        } catch (error) {
+            console.error('Failed to import templates:', error);
+            this.showError('Could not import templates.', error, () => this.importTemplates(file));
+        } finally {
+            this.templateImportInput.value = '';
+        }
+    }
+
+    // Ask for placeholder values first if the template has any
+    useTemplate(template) {
+        const names = TemplateLibrary.placeholders(template);
+        if (names.length === 0) {
+            this.applyTemplate(template);
+            return;
+        }
+
+        this.pendingTemplate = template;
+        this.placeholderTitle.textContent = template.title;
+        this.placeholderFields.innerHTML = safeHTML`${names.map((name, index) => safeHTML`
+            <div class="form-group full-width">
+                <label for="placeholder-${index}">${name.replace(/[-_]/g, ' ')}</label>
+                <input type="text" id="placeholder-${index}" name="${name}" required>
+            </div>
+        `)}`;
+        this.placeholderModal.classList.add('active');
+        this.placeholderFields.querySelector('input').focus();
+    }
+
+    closePlaceholderModal() {
+        this.placeholderModal.classList.remove('active');
+        this.pendingTemplate = null;
+    }
+
+    handlePlaceholderSubmit(e) {
+        e.preventDefault();
+        const values = Object.fromEntries(new FormData(this.placeholderForm));
+        const template = TemplateLibrary.fill(this.pendingTemplate, values);
+        this.closePlaceholderModal();
+        this.applyTemplate(template);
+    }
+
+    // Open a new brief pre-filled with the template
+    applyTemplate(template) {
+        this.closeTemplatesModal();
+        this.openCreateModal();
+        this.fillBriefForm(template);
+        document.getElementById('briefTitle').focus();
+        this.showToast(`📋 Started from the "${template.title}" template - fill in the rest and save`);
+    }
+
+    // Import/Export Modal
+    openTransferModal() {
+        this.exportFilteredCount.textContent = `${this.visibleBriefs.length} of ${this.briefs.length}`;
+        this.importReport.innerHTML = '';
+        this.importForm.reset();
+        this.transferModal.classList.add('active');
+    }
+
+    closeTransferModal() {
+        this.transferModal.classList.remove('active');
+    }
+
+    // Palette Export Modal - token names per swatch, preview and download
+    openPaletteModal(brief) {
+        this.paletteBrief = brief;
+        this.paletteTitle.textContent = brief.title;
+        this.paletteFormatSelect.innerHTML = safeHTML`${Object.entries(PaletteExport.FORMATS)
+            .map(([key, format]) => safeHTML`<option value="${key}">${format.label}</option>`)}`;
+
+        const swatches = PaletteExport.swatches(brief);
+        this.paletteTokens.innerHTML = safeHTML`${swatches.map(({ name, hex }) => safeHTML`
+            <div class="token-row">
+                ${this.renderSwatch(hex)}
+                <code>${hex}</code>
+                <input type="text" class="token-name" value="${name}" aria-label="Token name for ${hex}" spellcheck="false">
+            </div>
+        `)}`;
+        this.paletteTokens.querySelectorAll('.token-name').forEach(input => {
+            input.addEventListener('input', () => this.updatePalettePreview());
+        });
+
+        this.updatePalettePreview();
+        this.paletteModal.classList.add('active');
+    }
+
+    closePaletteModal() {
+        this.paletteModal.classList.remove('active');
+        this.paletteBrief = null;
+    }
+
+    // Swatches with the token names typed in the editor
+    getPaletteSwatches() {
+        const brief = this.paletteBrief;
+        const hexes = brief.colors.filter(color => safeColor(color));
+        const names = [...this.paletteTokens.querySelectorAll('.token-name')].map(input => input.value);
+        return PaletteExport.swatches({ ...brief, colors: hexes, colorRoles: names });
+    }
+
+    updatePalettePreview() {
+        const format = this.paletteFormatSelect.value;
+        const content = PaletteExport.render(format, this.getPaletteSwatches(), this.paletteBrief.title);
+        this.palettePreview.textContent = PaletteExport.FORMATS[format].binary
+            ? `Binary swatch file (${content.byteLength} bytes) - download it and open it in Photoshop, Illustrator or InDesign.`
+            : content;
+        this.copyPaletteBtn.disabled = Boolean(PaletteExport.FORMATS[format].binary);
+    }
+
+    downloadPalette() {
+        const format = this.paletteFormatSelect.value;
+        const { extension, type } = PaletteExport.FORMATS[format];
+        const content = PaletteExport.render(format, this.getPaletteSwatches(), this.paletteBrief.title);
+        this.downloadFile(`${VaultTransfer.slugify(this.paletteBrief.title)}.${extension}`, content, type);
+    }
+
+    async copyPalette() {
+        try {
+            await navigator.clipboard.writeText(this.palettePreview.textContent);
+            this.copyPaletteBtn.textContent = 'Copied ✓';
+            setTimeout(() => {
+                this.copyPaletteBtn.textContent = 'Copy';
+            }, 1500);
+        } catch (error) {
+            console.error('Failed to copy palette:', error);
+            this.showError('Could not copy to the clipboard - use Download instead.', error, () => this.copyPalette());
+        }
+    }
+
+    handleExport(e) {
+        e.preventDefault();
+
+        const formData = new FormData(this.exportForm);
+        const briefs = formData.get('scope') === 'filtered' ? this.visibleBriefs : this.briefs;
+        this.exportBriefs(briefs, formData.get('format'));
+    }
+
+    exportBriefs(briefs, format) {
+        const date = new Date().toISOString().slice(0, 10);
+
+        if (briefs.length === 0) {
+            this.showToast('There are no briefs to export.');
+            return;
+        }
+
+        if (format === 'json') {
+            this.downloadFile(`brief-vault-${date}.json`, VaultTransfer.toJSON(briefs), 'application/json');
+        } else if (format === 'csv') {
+            this.downloadFile(`brief-vault-${date}.csv`, VaultTransfer.toCSV(briefs), 'text/csv');
+        } else {
+            // One Markdown document per brief
+            const fields = this.schema.getFields();
+            briefs.forEach(brief => {
+                this.downloadFile(`${VaultTransfer.slugify(brief.title)}.md`, VaultTransfer.toMarkdown(brief, fields, this.api.workflow), 'text/markdown');
+            });
+        }
+    }
+
+    // Trigger a browser download for generated content
+    downloadFile(fileName, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    async handleImport(e) {
+        e.preventDefault();
+
+        const file = this.importFile.files[0];
+        const onCollision = new FormData(this.importForm).get('collision');
+        if (!file) return;
+
+        let result;
+        try {
+            const records = VaultTransfer.parse(file.name, await file.text());
+            result = VaultTransfer.validate(records, this.schema.getFields(), this.api.workflow.ids());
+        } catch (error) {
+            console.error('Failed to read import file:', error);
+            this.renderImportReport({ created: 0, updated: 0, errors: [{ row: '—', messages: [error.message] }] });
+            return;
+        }
+
+        const summary = { created: 0, updated: 0, errors: result.errors };
+        const existingIds = new Set(this.briefs.map(brief => brief.id));
+
+        for (const { row, brief } of result.valid) {
+            try {
+                if (brief.id && existingIds.has(brief.id)) {
+                    const existing = this.briefs.find(item => item.id === brief.id);
+                    await this.api.updateBrief(brief.id, this.resolveImportCollision(existing, brief, onCollision));
+                    summary.updated++;
+                } else {
+                    const { id, revision, updatedAt, ...data } = brief;
+                    await this.api.createBrief(data);
+                    summary.created++;
+                }
+            } catch (error) {
+                summary.errors.push({ row, title: brief.title, messages: [error.message] });
+            }
+        }
+
+        await this.loadBriefs();
+        this.renderImportReport(summary);
+    }
+
+    // "replace" takes the imported brief as-is; "merge" keeps existing values
+    // the file leaves empty and combines tags and references
+    resolveImportCollision(existing, imported, mode) {
+        const fields = {};
+        MERGE_FIELDS.forEach(field => {
+            fields[field] = imported[field];
+        });
+        if (mode === 'replace') {
+            // CSV has no attachments column - a record without file ids keeps the files
+            // already attached, or the next cleanup would delete them for good
+            if (!imported.attachments.some(file => file && file.id)) {
+                fields.attachments = existing.attachments;
+            }
+            return fields;
+        }
+
+        const union = (a, b) => [...new Set([...a, ...b])];
+        return {
+            title: imported.title || existing.title,
+            description: imported.description || existing.description,
+            colors: imported.colors.length > 0 ? imported.colors : existing.colors,
+            colorRoles: imported.colors.length > 0 ? imported.colorRoles : existing.colorRoles,
+            thumbnail: imported.thumbnail || existing.thumbnail,
+            // Files only exist on this device, so keep the ones already attached
+            attachments: existing.attachments,
+            tags: union(existing.tags, imported.tags),
+            references: [
+                ...existing.references,
+                ...imported.references.filter(ref => !existing.references.some(other =>
+                    other.url === ref.url && (ref.url || other.title === ref.title)))
+            ],
+            customFields: { ...existing.customFields, ...imported.customFields },
+            status: imported.status
+        };
+    }
+
+    renderImportReport({ created, updated, errors }) {
+        this.importReport.innerHTML = safeHTML`
+            <div class="import-summary">
+                <span class="import-ok">✓ ${created} created</span>
+                <span class="import-ok">✓ ${updated} updated</span>
+                <span class="${errors.length > 0 ? 'import-failed' : 'import-ok'}">${errors.length > 0 ? '✗' : '✓'} ${errors.length} rejected</span>
             </div>
         `;
+        if (errors.length === 0) return;
 
-        // Attach UPDATE and DELETE event listeners
-        card.querySelector('.edit-btn').addEventListener('click', () => this.openEditModal(brief.id));
-        card.querySelector('.delete-btn').addEventListener('click', () => this.deleteBrief(brief.id));
+        const list = document.createElement('ul');
+        list.className = 'import-errors';
+        errors.forEach(({ row, title, messages }) => {
+            const item = document.createElement('li');
+            item.textContent = `Row ${row}${title ? ` ("${title}")` : ''}: ${messages.join('; ')}`;
+            list.appendChild(item);
+        });
+        this.importReport.appendChild(list);
+    }
 
-        return card;
+    // Custom Fields Editor - one row per field, saved as a whole
+    openSchemaModal() {
+        this.schemaFieldList.innerHTML = '';
+        this.schema.getFields().forEach(field => this.addSchemaRow(field));
+        this.schemaModal.classList.add('active');
+    }
+
+    closeSchemaModal() {
+        this.schemaModal.classList.remove('active');
     }
 
-    // Helper to truncate long URLs
-    truncateUrl(url) {
-        return url.length > 50 ? url.substring(0, 47) + '...' : url;
+    // Saved fields keep their key when relabelled, so stored values still line up
+    addSchemaRow(field = null) {
+        const row = document.createElement('div');
+        row.className = 'schema-row';
+        if (field) row.dataset.key = field.key;
+        row.innerHTML = safeHTML`
+            <input type="text" class="schema-label" placeholder="Label, e.g. Client" aria-label="Field label" value="${field ? field.label : ''}">
+            <select class="schema-type" aria-label="Field type">
+                ${Object.entries(BriefSchema.TYPES).map(([value, label]) => safeHTML`<option value="${value}" ${trustedHTML(field && field.type === value ? 'selected' : '')}>${label}</option>`)}
+            </select>
+            <input type="text" class="schema-options" placeholder="Choices, comma separated" aria-label="Choices" value="${field ? field.options.join(', ') : ''}">
+            <label class="schema-required"><input type="checkbox" ${trustedHTML(field && field.required ? 'checked' : '')}> Required</label>
+            <code class="schema-key" title="Search key"></code>
+            <div class="schema-actions">
+                <button type="button" class="template-action" data-action="up" title="Move up" aria-label="Move up">↑</button>
+                <button type="button" class="template-action" data-action="down" title="Move down" aria-label="Move down">↓</button>
+                <button type="button" class="btn-close" data-action="remove" title="Remove field" aria-label="Remove field">&times;</button>
+            </div>
+        `;
+
+        row.querySelector('.schema-label').addEventListener('input', () => this.updateSchemaRow(row));
+        row.querySelector('.schema-type').addEventListener('change', () => this.updateSchemaRow(row));
+        row.querySelector('[data-action="up"]').addEventListener('click', () => row.previousElementSibling?.before(row));
+        row.querySelector('[data-action="down"]').addEventListener('click', () => row.nextElementSibling?.after(row));
+        row.querySelector('[data-action="remove"]').addEventListener('click', () => row.remove());
+
+        this.schemaFieldList.appendChild(row);
+        this.updateSchemaRow(row);
+        return row;
     }
 
-    openCreateModal() {
-        this.currentEditId = null;
-        this.modalTitle.textContent = 'NEW BRIEF';
-        this.submitBtnText.textContent = 'Create Brief';
-        this.briefForm.reset();
-        this.modal.classList.add('active');
+    // Show the search key, and the choices box only for choice lists
+    updateSchemaRow(row) {
+        const field = this.readSchemaRow(row);
+        row.querySelector('.schema-key').textContent = field.key ? `${field.key}:` : '';
+        row.querySelector('.schema-options').style.visibility = field.type === 'select' ? '' : 'hidden';
     }
 
-    // UPDATE - Open modal with existing brief data
-    async openEditModal(id) {
-        try {
-            const brief = await this.api.getBriefById(id);
-            this.currentEditId = id;
-            this.modalTitle.textContent = 'EDIT BRIEF';
-            this.submitBtnText.textContent = 'Update Brief';
+    readSchemaRow(row) {
+        return BriefSchema.normalizeField({
+            key: row.dataset.key,
+            label: row.querySelector('.schema-label').value,
+            type: row.querySelector('.schema-type').value,
+            options: row.querySelector('.schema-options').value,
+            required: row.querySelector('.schema-required input').checked
+        });
+    }
 
-            // Populate form
-            document.getElementById('briefTitle').value = brief.title;
-            document.getElementById('briefDescription').value = brief.description;
-            document.getElementById('status').value = brief.status;
-            
-            // Set colors
-            brief.colors.forEach((color, index) => {
-                const colorInput = document.getElementById(`color${index + 1}`);
-                if (colorInput) colorInput.value = color;
-            });
-            
-            // Set tags and references
-            document.getElementById('tags').value = brief.tags.join(', ');
-            document.getElementById('references').value = brief.references.join(', ');
+    handleSchemaSubmit(e) {
+        e.preventDefault();
 
-            this.modal.classList.add('active');
+        const fields = Array.from(this.schemaFieldList.children).map(row => this.readSchemaRow(row));
+        try {
+            this.schema.setFields(fields);
         } catch (error) {
-            console.error('Failed to load brief for editing:', error);
-            alert('Failed to load brief. Please try again.');
+            this.showToast('Please fix these fields first:\n' + error.message, { type: 'error' });
+            return;
+        }
+
+        // Values of removed fields stay on the briefs, so re-adding a field brings them back
+        this.closeSchemaModal();
+        this.renderSortOptions();
+        this.filterBriefs();
+        if (this.currentRoute.name === 'brief') {
+            this.showBriefDetail(this.currentRoute.id);
         }
     }
 
-    closeModal() {
-        this.modal.classList.remove('active');
-        this.briefForm.reset();
-        this.currentEditId = null;
+    // Status Workflow Editor - the statuses, then a from/to grid of allowed moves.
+    // Drafts are keyed separately from ids, since a new status's id follows its label
+    openWorkflowModal() {
+        this.workflowDraft = this.api.workflow.getStatuses().map(status => ({ ...status, key: status.id, saved: true }));
+        this.renderWorkflowEditor();
+        this.workflowModal.classList.add('active');
     }
 
-    // Handle CREATE and UPDATE form submission
-    async handleFormSubmit(e) {
-        e.preventDefault();
+    closeWorkflowModal() {
+        this.workflowModal.classList.remove('active');
+        this.workflowDraft = null;
+    }
 
-        const formData = new FormData(this.briefForm);
-        
-        // Collect color palette
-        const colors = [];
-        for (let i = 1; i <= 5; i++) {
-            colors.push(formData.get(`color${i}`));
-        }
+    // A new status can be reached from, and lead to, every other one until unticked
+    addWorkflowStatus() {
+        const key = `draft:${StorageAdapter.generateId()}`;
+        this.workflowDraft.forEach(status => status.next.push(key));
+        this.workflowDraft.push({
+            key,
+            id: '',
+            label: '',
+            color: '#8b5cf6',
+            next: this.workflowDraft.map(status => status.key),
+            saved: false
+        });
+        this.renderWorkflowEditor();
+        this.workflowStatusList.lastElementChild.querySelector('.workflow-label').focus();
+    }
 
-        // Parse tags and references
-        const tags = formData.get('tags')
-            .split(',')
-            .map(tag => tag.trim())
-            .filter(tag => tag.length > 0);
+    renderWorkflowEditor() {
+        const statuses = this.workflowDraft;
+        this.workflowStatusList.innerHTML = safeHTML`${statuses.map((status, index) => safeHTML`
+            <div class="workflow-status">
+                <input type="color" class="workflow-color" value="${status.color}" aria-label="Badge color">
+                <input type="text" class="workflow-label" value="${status.label}" placeholder="Label, e.g. In Review" aria-label="Status label">
+                <code class="workflow-id" title="Status id - used in search, e.g. status:${status.id}">${status.id}</code>
+                <div class="schema-actions">
+                    <button type="button" class="template-action" data-action="up" title="Move up" aria-label="Move up" ${trustedHTML(index === 0 ? 'disabled' : '')}>↑</button>
+                    <button type="button" class="template-action" data-action="down" title="Move down" aria-label="Move down" ${trustedHTML(index === statuses.length - 1 ? 'disabled' : '')}>↓</button>
+                    <button type="button" class="btn-close" data-action="remove" title="Remove status" aria-label="Remove status">&times;</button>
+                </div>
+            </div>
+        `)}`;
 
-        const references = formData.get('references')
-            .split(',')
-            .map(ref => ref.trim())
-            .filter(ref => ref.length > 0);
+        Array.from(this.workflowStatusList.children).forEach((row, index) => {
+            const status = statuses[index];
+            row.querySelector('.workflow-color').addEventListener('input', (e) => {
+                status.color = e.target.value;
+            });
+            // Saved statuses keep their id, so briefs already in them stay put
+            row.querySelector('.workflow-label').addEventListener('input', (e) => {
+                status.label = e.target.value.trim();
+                if (!status.saved) {
+                    status.id = StatusWorkflow.idFor(status.label);
+                    row.querySelector('.workflow-id').textContent = status.id;
+                }
+                this.renderWorkflowTransitions();
+            });
+            row.querySelectorAll('[data-action]').forEach(button => {
+                button.addEventListener('click', () => this.handleWorkflowAction(button.dataset.action, index));
+            });
+        });
+        this.renderWorkflowTransitions();
+    }
 
-        const briefData = {
-            title: formData.get('title'),
-            description: formData.get('description'),
-            colors: colors,
-            references: references,
-            tags: tags,
-            status: formData.get('status')
-        };
+    handleWorkflowAction(action, index) {
+        const statuses = this.workflowDraft;
+        if (action === 'up' || action === 'down') {
+            const target = index + (action === 'up' ? -1 : 1);
+            [statuses[index], statuses[target]] = [statuses[target], statuses[index]];
+        } else if (action === 'remove') {
+            const [removed] = statuses.splice(index, 1);
+            statuses.forEach(status => {
+                status.next = status.next.filter(key => key !== removed.key);
+            });
+        }
+        this.renderWorkflowEditor();
+    }
 
-        try {
-            if (this.currentEditId) {
-                // UPDATE operation
-                await this.api.updateBrief(this.currentEditId, briefData);
-            } else {
-                // CREATE operation
-                await this.api.createBrief(briefData);
-            }
+    // Rows are "from", columns are "to"
+    renderWorkflowTransitions() {
+        const statuses = this.workflowDraft;
+        this.workflowTransitions.innerHTML = safeHTML`<table class="workflow-matrix">
+            <thead>
+                <tr>
+                    <th scope="col">From → To</th>
+                    ${statuses.map(status => safeHTML`<th scope="col">${status.label || '…'}</th>`)}
+                </tr>
+            </thead>
+            <tbody>
+                ${statuses.map(from => safeHTML`<tr>
+                    <th scope="row">${from.label || '…'}</th>
+                    ${statuses.map(to => from.key === to.key
+                        ? safeHTML`<td class="workflow-self">—</td>`
+                        : safeHTML`<td><input type="checkbox" data-from="${from.key}" data-to="${to.key}"
+                            aria-label="${from.label} to ${to.label}" ${trustedHTML(from.next.includes(to.key) ? 'checked' : '')}></td>`)}
+                </tr>`)}
+            </tbody>
+        </table>`;
 
-            this.closeModal();
-            await this.loadBriefs();
-            
-            // Show success message
-            if (!this.currentEditId) {
-                setTimeout(() => {
-                    alert(`✅ Brief "${briefData.title}" created successfully!\n\n🎨 Your project card is now in the grid below.`);
-                }, 300);
-            }
-        } catch (error) {
-            console.error('Failed to save brief:', error);
-            alert('❌ Failed to save brief. Please try again.\n\nError: ' + error.message);
-        }
+        this.workflowTransitions.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                const from = statuses.find(status => status.key === checkbox.dataset.from);
+                from.next = checkbox.checked
+                    ? [...from.next, checkbox.dataset.to]
+                    : from.next.filter(key => key !== checkbox.dataset.to);
+            });
+        });
     }
 
-    // DELETE operation with confirmation
-    async deleteBrief(id) {
-        if (!confirm('Are you sure you want to delete this brief? This action cannot be undone.')) {
+    handleWorkflowSubmit(e) {
+        e.preventDefault();
+
+        const idOf = new Map(this.workflowDraft.map(status => [status.key, status.id]));
+        const statuses = this.workflowDraft.map(({ id, label, color, next }) => ({
+            id,
+            label,
+            color,
+            next: next.map(key => idOf.get(key))
+        }));
+
+        // Removing a status that briefs are still in would strand them
+        const ids = statuses.map(status => status.id);
+        const stranded = this.briefs.filter(brief => !ids.includes(brief.status));
+        if (stranded.length > 0) {
+            const labels = [...new Set(stranded.map(brief => this.api.workflow.label(brief.status)))];
+            this.showToast(`${stranded.length} brief${stranded.length === 1 ? ' is' : 's are'} still in ${labels.join(', ')}. Move ${stranded.length === 1 ? 'it' : 'them'} to another status before removing it.`, { type: 'error' });
             return;
         }
 
         try {
-            await this.api.deleteBrief(id);
-            await this.loadBriefs();
+            this.api.workflow.setStatuses(statuses);
         } catch (error) {
-            console.error('Failed to delete brief:', error);
-            alert('Failed to delete brief. Please try again.');
+            this.showToast('Please fix the workflow first:\n' + error.message, { type: 'error' });
+            return;
         }
-    }
-
-    // Search and filter functionality
-    filterBriefs() {
-        const searchTerm = this.searchInput.value.toLowerCase();
-        const statusFilter = this.statusFilter.value;
-
-        const filtered = this.briefs.filter(brief => {
-            const matchesSearch = 
-                brief.title.toLowerCase().includes(searchTerm) ||
-                brief.description.toLowerCase().includes(searchTerm) ||
-                brief.tags.some(tag => tag.toLowerCase().includes(searchTerm));
-
-            const matchesStatus = statusFilter === 'all' || brief.status === statusFilter;
-
-            return matchesSearch && matchesStatus;
-        });
 
-        this.renderBriefs(filtered);
+        this.closeWorkflowModal();
+        this.renderStatusOptions();
+        this.filterBriefs();
+        if (this.currentRoute.name === 'brief') {
+            this.showBriefDetail(this.currentRoute.id);
+        }
     }
 
-    // Theme Toggle - Dark/Light Mode
-    initTheme() {
-        const savedTheme = localStorage.getItem('briefVault_theme') || 'dark';
-        document.documentElement.setAttribute('data-theme', savedTheme);
+    // Trash - restore briefs or delete them for good
+    // A trash that can't be read only leaves the badge as it was
+    async updateTrashCount() {
+        let count;
+        try {
+            count = (await this.api.trash.getAll()).length;
+        } catch (error) {
+            console.warn('Could not count the trash:', error);
+            return;
+        }
+        this.trashCount.textContent = count;
+        this.trashCount.style.display = count > 0 ? '' : 'none';
+        this.trashBtn.title = count > 0 ? `Trash (${count})` : 'Trash';
     }
 
-    toggleTheme() {
-        const currentTheme = document.documentElement.getAttribute('data-theme');
-        const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
-        
-        document.documentElement.setAttribute('data-theme', newTheme);
-        localStorage.setItem('briefVault_theme', newTheme);
+    async openTrashModal() {
+        try {
+            await this.renderTrash();
+            this.trashModal.classList.add('active');
+        } catch (error) {
+            console.error('Failed to open the trash:', error);
+            this.showError('Failed to open the trash.', error, () => this.openTrashModal());
+        }
     }
 
-    // Show Interactive Tutorial on Every Load
-    checkFirstVisit() {
-        // Always show tutorial for demo/submission purposes
-        // Users can skip it if they want
-        setTimeout(() => {
-            if (this.tutorialOverlay) {
-                this.tutorialOverlay.classList.add('active');
-            }
-        }, 1000);
+    closeTrashModal() {
+        this.trashModal.classList.remove('active');
     }
 
-    // Tutorial Navigation
-    nextTutorialStep() {
-        if (this.currentTutorialStep < 3) {
-            this.currentTutorialStep++;
-            this.updateTutorialStep();
+    async renderTrash() {
+        const entries = await this.api.trash.getAll();
+        const day = 24 * 60 * 60 * 1000;
+        this.trashHint.textContent = `Deleted briefs stay here for ${this.api.trash.retentionDays} days, with their history and attachments, then they're removed for good.`;
+        this.emptyTrashBtn.disabled = entries.length === 0;
+
+        if (entries.length === 0) {
+            this.trashList.innerHTML = '<p class="history-empty">The trash is empty.</p>';
+            return;
         }
+
+        this.trashList.innerHTML = safeHTML`${entries.map(entry => {
+            const daysLeft = Math.max(0, Math.ceil((this.api.trash.expiresAt(entry) - Date.now()) / day));
+            return safeHTML`<div class="trash-item">
+                <div class="trash-info">
+                    <div class="trash-title">${entry.brief.title}</div>
+                    <div class="trash-meta">Deleted ${new Date(entry.deletedAt).toLocaleString()} · removed for good in ${daysLeft} day${daysLeft === 1 ? '' : 's'}</div>
+                </div>
+                <button type="button" class="btn btn-secondary btn-small" data-action="restore">Restore</button>
+                <button type="button" class="btn btn-danger btn-small" data-action="purge">Delete Forever</button>
+            </div>`;
+        })}`;
+
+        this.trashList.querySelectorAll('.trash-item').forEach((item, index) => {
+            const { brief } = entries[index];
+            item.querySelector('[data-action="restore"]').addEventListener('click', () => this.restoreFromTrash(brief));
+            item.querySelector('[data-action="purge"]').addEventListener('click', () => this.purgeFromTrash(brief));
+        });
     }
 
-    prevTutorialStep() {
-        if (this.currentTutorialStep > 0) {
-            this.currentTutorialStep--;
-            this.updateTutorialStep();
+    async restoreFromTrash(brief) {
+        try {
+            const restored = await this.restoreTrashedBrief(brief.id);
+            const entry = this.recordBatch(`Restore "${restored.title}"`, { created: [restored] });
+            await this.loadBriefs();
+            await this.renderTrash();
+            this.showUndoToast(entry, `Restored "${restored.title}"`);
+        } catch (error) {
+            console.error('Failed to restore brief:', error);
+            this.showError('Failed to restore brief.', error, () => this.restoreFromTrash(brief));
         }
     }
 
-    updateTutorialStep() {
-        // Hide all steps
-        document.querySelectorAll('.tutorial-step').forEach(step => {
-            step.classList.remove('active');
-        });
-        
-        // Show current step
-        document.querySelector(`.tutorial-step[data-step="${this.currentTutorialStep}"]`).classList.add('active');
-        
-        // Update progress dots
-        document.querySelectorAll('.progress-dot').forEach((dot, index) => {
-            dot.classList.remove('active', 'completed');
-            if (index < this.currentTutorialStep) {
-                dot.classList.add('completed');
-            } else if (index === this.currentTutorialStep) {
-                dot.classList.add('active');
-            }
+    async purgeFromTrash(brief) {
+        const confirmed = await this.openDialog({
+            title: 'Delete Forever',
+            message: `Delete "${brief.title}" for good? Its history and attachments go too, and this can't be undone.`,
+            confirmLabel: 'Delete Forever',
+            danger: true
         });
-        
-        // Update buttons
-        this.tutorialPrev.style.display = this.currentTutorialStep === 0 ? 'none' : 'flex';
-        this.tutorialNext.style.display = this.currentTutorialStep === 3 ? 'none' : 'flex';
-        this.tutorialFinish.style.display = this.currentTutorialStep === 3 ? 'flex' : 'none';
+        if (!confirmed) return;
+        await this.api.purgeBriefs([brief.id]);
+        await this.updateTrashCount();
+        await this.renderTrash();
     }
 
-    closeTutorial() {
-        this.tutorialOverlay.classList.remove('active');
-        this.currentTutorialStep = 0;
-        this.updateTutorialStep();
+    async emptyTrash() {
+        const count = (await this.api.trash.getAll()).length;
+        if (count === 0) return;
+        const confirmed = await this.openDialog({
+            title: 'Empty Trash',
+            message: `Delete ${count} brief${count === 1 ? '' : 's'} in the trash for good? This can't be undone.`,
+            confirmLabel: 'Empty Trash',
+            danger: true
+        });
+        if (!confirmed) return;
+        await this.api.emptyTrash();
+        await this.updateTrashCount();
+        await this.renderTrash();
     }
 
-    // Show tutorial manually (via help button)
-    showTutorial() {
-        this.currentTutorialStep = 0;
-        this.updateTutorialStep();
-        this.tutorialOverlay.classList.add('active');
+    // Storage Settings Modal
+    openSettingsModal() {
+        this.storageBackendSelect.innerHTML = safeHTML`${Object.entries(STORAGE_BACKENDS)
+            .map(([key, backend]) => safeHTML`<option value="${key}">${backend.label}</option>`)}`;
+        this.storageBackendSelect.value = this.api.settings.backend;
+        this.restURLInput.value = this.api.settings.restURL;
+        this.updateSettingsFields();
+        this.settingsModal.classList.add('active');
     }
 
-    // Templates Modal
-    openTemplatesModal() {
-        this.renderTemplates();
-        this.templatesModal.classList.add('active');
+    closeSettingsModal() {
+        this.settingsModal.classList.remove('active');
     }
 
-    closeTemplatesModal() {
-        this.templatesModal.classList.remove('active');
+    // Only show the URL field when the REST backend is selected
+    updateSettingsFields() {
+        const isRest = this.storageBackendSelect.value === 'rest';
+        this.restURLGroup.style.display = isRest ? 'flex' : 'none';
+        this.restURLInput.required = isRest;
     }
 
-    renderTemplates() {
-        const templates = [
-            {
-                icon: '🌐',
-                title: 'Website Redesign',
-                description: 'Perfect for portfolio, landing pages, or corporate sites. Click to pre-fill form!',
-                colors: ['#00f0ff', '#8b5cf6', '#1a1f3a', '#ffffff', '#ff0080'],
-                tags: ['web', 'redesign', 'UI/UX'],
-                references: ['https://awwwards.com', 'https://dribbble.com'],
-                status: 'idea'
-            },
-            {
-                icon: '📱',
-                title: 'Mobile App UI',
-                description: 'For iOS/Android app interface design. Click to use this template!',
-                colors: ['#00ff9f', '#00f0ff', '#8b5cf6', '#ffd700', '#ff0080'],
-                tags: ['mobile', 'app', 'UI'],
-                references: ['https://mobbin.com', 'https://pttrns.com'],
-                status: 'idea'
-            },
-            {
-                icon: '🎨',
-                title: 'Brand Identity',
-                description: 'Logo, colors, typography for a brand. Click to customize!',
-                colors: ['#ff0080', '#ffd700', '#00f0ff', '#1a1f3a', '#ffffff'],
-                tags: ['branding', 'logo', 'identity'],
-                references: ['https://behance.net', 'https://logopond.com'],
-                status: 'idea'
-            },
-            {
-                icon: '📊',
-                title: 'Dashboard Design',
-                description: 'Analytics, admin panels, data visualization. Click to start!',
-                colors: ['#8b5cf6', '#00f0ff', '#00ff9f', '#ffd700', '#1a1f3a'],
-                tags: ['dashboard', 'analytics', 'data-viz'],
-                references: ['https://dribbble.com/tags/dashboard'],
-                status: 'idea'
-            },
-            {
-                icon: '🛍️',
-                title: 'E-Commerce Site',
-                description: 'Online store, product pages, checkout flow. Ready to customize!',
-                colors: ['#00ff9f', '#ffd700', '#ff0080', '#1a1f3a', '#ffffff'],
-                tags: ['e-commerce', 'shop', 'retail'],
-                references: ['https://commerce.shopify.com/c/ecommerce-design'],
-                status: 'idea'
-            },
-            {
-                icon: '🎮',
-                title: 'Gaming UI',
-                description: 'Game interface, HUD elements, menus. Click to edit!',
-                colors: ['#ff0080', '#00f0ff', '#ffd700', '#8b5cf6', '#0a0e27'],
-                tags: ['gaming', 'HUD', 'UI'],
-                references: ['https://gameuidatabase.com'],
-                status: 'idea'
-            }
-        ];
-
-        this.templatesGrid.innerHTML = templates.map(template => `
-            <div class="template-card" data-template='${JSON.stringify(template)}'>
-                <div class="template-icon">${template.icon}</div>
-                <div class="template-title">${template.title}</div>
-                <div class="template-desc">${template.description}</div>
-                <div class="template-preview">
-                    ${template.colors.slice(0, 5).map(color => 
-                        `<span style="background-color: ${color};"></span>`
-                    ).join('')}
-                </div>
-            </div>
-        `).join('');
-
-        // Attach click handlers
-        document.querySelectorAll('.template-card').forEach(card => {
-            card.addEventListener('click', () => {
-                const template = JSON.parse(card.dataset.template);
-                this.useTemplate(template);
-            });
-        });
-    }
+    async handleSettingsSubmit(e) {
+        e.preventDefault();
 
-    useTemplate(template) {
-        this.closeTemplatesModal();
-        
-        // Show helpful message
-        setTimeout(() => {
-            alert(`📋 Template Loaded: "${template.title}"\n\n✏️ This form is PRE-FILLED with example data.\n\n👉 You can customize anything you want, then click "Create Brief" at the bottom.`);
-        }, 200);
-        
-        this.openCreateModal();
-        
-        // Pre-fill form with template data
-        setTimeout(() => {
-            document.getElementById('briefTitle').value = template.title;
-            document.getElementById('briefDescription').value = template.description;
-            document.getElementById('tags').value = template.tags.join(', ');
-            document.getElementById('references').value = template.references.join(', ');
-            document.getElementById('status').value = template.status;
-            
-            // Set colors
-            template.colors.forEach((color, index) => {
-                const colorInput = document.getElementById(`color${index + 1}`);
-                if (colorInput) colorInput.value = color;
+        try {
+            this.api.setBackend({
+                backend: this.storageBackendSelect.value,
+                restURL: this.restURLInput.value.trim()
             });
-        }, 400);
+            this.closeSettingsModal();
+            await this.loadBriefs();
+        } catch (error) {
+            console.error('Failed to update storage settings:', error);
+            this.showError('Failed to update storage settings.', error, () => this.handleSettingsSubmit(e));
+        }
     }
 
     // Load Sample/Seed Data for Demo
@@ -823,32 +7023,36 @@ class BriefVaultApp {
 
         try {
             // Clear existing data if confirmed
-            if (this.briefs.length > 0) {
-                if (!confirm('This will replace your existing briefs with 6 example projects. Continue?')) {
-                    return;
-                }
-                // Clear localStorage
-                localStorage.removeItem(this.api.localStorageKey);
+            // Existing briefs go to the trash, so this can be undone
+            const deleted = [];
+            for (const brief of await this.api.getAllBriefs()) {
+                deleted.push(await this.api.deleteBrief(brief.id));
             }
 
             // Add each seed brief
+            const created = [];
             for (const seedData of seedBriefs) {
-                await this.api.createBrief(seedData);
+                created.push(await this.api.createBrief(seedData));
             }
 
+            const entry = this.recordBatch('Load demo data', { created, deleted });
+
             // Reload the grid
             await this.loadBriefs();
-            
-            alert('✨ Demo data loaded successfully!\n\n📊 ' + this.briefs.length + ' creative briefs should now be visible in the grid below.');
+
+            this.showUndoToast(entry, deleted.length > 0
+                ? `✨ Loaded ${created.length} example projects - your ${deleted.length} brief${deleted.length === 1 ? ' is' : 's are'} in the trash`
+                : `✨ Loaded ${created.length} example projects`);
         } catch (error) {
             console.error('Error loading seed data:', error);
-            alert('Failed to load demo data. Please try again.');
+            this.showError('Failed to load demo data.', error, () => this.loadSeedData());
         }
     }
 }
 
-// Initialize app when DOM is loaded
+// Initialize app when DOM is loaded - tests/security.html loads the classes without the vault
 document.addEventListener('DOMContentLoaded', () => {
+    if (!document.getElementById('briefsGrid')) return;
     new BriefVaultApp();
     
     // Add loaded class for animations after brief delay
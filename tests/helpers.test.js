@@ -0,0 +1,97 @@
+// ================================
+// HELPER TESTS (NODE)
+// ================================
+
+// The helpers that don't need a browser - escaping, URL and color checks, and
+// reference normalization - run under Node's built-in test runner:
+//   node --test
+// HTMLSanitizer and the renderers need a DOM, so they're covered by tests/security.html.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// app.js is a plain browser script - it only touches document once the page has loaded
+const context = vm.createContext({ document: { addEventListener() {} }, URL, console });
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'app.js'), 'utf8'), context);
+const { escapeHTML, safeUrl, safeColor, safeImageData, safeHTML, trustedHTML, Brief } =
+    vm.runInContext('({ escapeHTML, safeUrl, safeColor, safeImageData, safeHTML, trustedHTML, Brief })', context);
+
+test('escapeHTML escapes every character that can break out of text or an attribute', () => {
+    assert.strictEqual(escapeHTML(`<a href="x" title='y'>&</a>`),
+        '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+    assert.strictEqual(escapeHTML(null), '');
+    assert.strictEqual(escapeHTML(42), '42');
+});
+
+test('safeHTML escapes values unless they are trusted', () => {
+    const name = '<img src=x onerror="alert(1)">';
+    assert.strictEqual(String(safeHTML`<b>${name}</b>`), '<b>&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</b>');
+    assert.strictEqual(String(safeHTML`<ul>${['<a>', safeHTML`<li>${'&'}</li>`]}</ul>`), '<ul>&lt;a&gt;<li>&amp;</li></ul>');
+    assert.strictEqual(String(safeHTML`${trustedHTML('<hr>')}${null}${false}`), '<hr>');
+});
+
+test('safeUrl only lets http and https links through', () => {
+    assert.strictEqual(safeUrl('https://example.com/a?b=1'), 'https://example.com/a?b=1');
+    assert.strictEqual(safeUrl(' http://example.com '), 'http://example.com/');
+    [
+        'javascript:alert(1)',
+        'JaVaScRiPt:alert(1)',
+        'java\tscript:alert(1)',
+        ' javascript:alert(1)',
+        'vbscript:msgbox(1)',
+        'data:text/html,<script>alert(1)</script>',
+        'file:///etc/passwd',
+        'mailto:someone@example.com',
+        'ftp://example.com',
+        '/relative/path',
+        'example.com',
+        ''
+    ].forEach(url => assert.strictEqual(safeUrl(url), null, url));
+});
+
+test('safeColor only accepts six-digit hex colors', () => {
+    assert.strictEqual(safeColor(' #00F0FF '), '#00f0ff');
+    [
+        'red',
+        '#fff',
+        '#00f0ff; background: url(javascript:alert(1))',
+        'expression(alert(1))',
+        '#00f0ff"><script>',
+        null,
+        0xff00ff
+    ].forEach(color => assert.strictEqual(safeColor(color), null, String(color)));
+});
+
+test('safeImageData only accepts base64 image data URLs', () => {
+    assert.ok(safeImageData('data:image/png;base64,iVBORw0KGgo='));
+    assert.strictEqual(safeImageData('data:image/svg+xml;base64,PHN2Zz4='), null);
+    assert.strictEqual(safeImageData('data:text/html;base64,PHNjcmlwdD4='), null);
+    assert.strictEqual(safeImageData('data:image/png;base64,x"onerror="alert(1)'), null);
+});
+
+test('references get https:// added and keep other text as their title', () => {
+    const normalized = (ref) => {
+        const { url, title } = Brief.normalizeReference(ref);
+        return { url, title };
+    };
+    assert.deepStrictEqual(normalized('dribbble.com/shots'), { url: 'https://dribbble.com/shots', title: '' });
+    assert.deepStrictEqual(normalized('see the shared drive'), { url: '', title: 'see the shared drive' });
+    assert.deepStrictEqual(normalized('javascript:alert(1)'), { url: '', title: 'javascript:alert(1)' });
+    assert.deepStrictEqual(normalized({ url: '{{portfolio}}' }), { url: '{{portfolio}}', title: '' });
+    assert.deepStrictEqual(normalized({ url: 'mailto:a@b.test', title: 'Contact' }), { url: 'mailto:a@b.test', title: 'Contact' });
+    assert.strictEqual(Brief.normalizeReference({ category: 'nope' }).category, 'inspiration');
+});
+
+test('briefs with a non-http(s) reference link fail validation', () => {
+    const validate = (references) => new Brief({ title: 'Brief', status: 'idea', references }).validate();
+    assert.strictEqual(validate(['https://ok.test', 'example.com', 'plain notes']).length, 0);
+    [
+        { url: 'javascript:alert(1)', title: 'Script' },
+        { url: 'data:text/html,x', title: 'Data' },
+        { url: 'mailto:a@b.test', title: 'Mail' },
+        { url: 'ftp://example.com', title: 'FTP' }
+    ].forEach(ref => assert.strictEqual(validate([ref]).length, 1, ref.url));
+});
@@ -0,0 +1,332 @@
+// ================================
+// MALICIOUS BRIEF TESTS
+// ================================
+
+// Feeds hostile brief data through the rendering pipeline (escapeHTML, safeHTML,
+// safeUrl, safeColor, HTMLSanitizer, MarkdownRenderer and the card renderer) and
+// checks that no script, event handler or javascript: URL comes out the other side.
+// Open tests/security.html in a browser - the page title ends up PASS or FAIL.
+// The helpers that don't need a DOM are also checked by `node --test` (helpers.test.js).
+
+// Every payload that manages to run sets this flag
+window.__pwned = false;
+
+const HOSTILE_TEXT = [
+    '<script>window.__pwned = true</script>',
+    '<img src=x onerror="window.__pwned = true">',
+    '"><svg onload="window.__pwned = true">',
+    '\'><iframe src="javascript:window.__pwned = true"></iframe>',
+    '<a href="javascript:window.__pwned = true">click</a>',
+    '<details open ontoggle="window.__pwned = true">',
+    '<style>body { background: url(javascript:window.__pwned = true) }</style>',
+    '</textarea><script>window.__pwned = true</script>',
+    '<!--<img src="--><img src=x onerror="window.__pwned = true">-->',
+    '<math><mi xlink:href="javascript:window.__pwned = true">x</mi></math>',
+    '<form><button formaction="javascript:window.__pwned = true">go</button></form>',
+    '<input type="image" src=x onerror="window.__pwned = true">'
+];
+
+// Markdown-specific ways to smuggle a link or an attribute
+const HOSTILE_MARKDOWN = [
+    '[click](javascript:window.__pwned=true)',
+    '[click](JaVaScRiPt:window.__pwned=true)',
+    '[click](data:text/html,<script>window.__pwned=true</script>)',
+    '[click](https://ok.test/"onmouseover="window.__pwned=true)',
+    '<https://ok.test/"onmouseover="window.__pwned=true>',
+    '**<img src=x onerror="window.__pwned = true">**',
+    '`<img src=x onerror="window.__pwned = true">`',
+    '- [x] <img src=x onerror="window.__pwned = true">',
+    '> <script>window.__pwned = true</script>',
+    '```\n</code></pre><script>window.__pwned = true</script>\n```'
+];
+
+const HOSTILE_URLS = [
+    'javascript:window.__pwned=true',
+    ' javascript:window.__pwned=true',
+    'JAVASCRIPT:window.__pwned=true',
+    'java\tscript:window.__pwned=true',
+    'data:text/html,<script>window.__pwned=true</script>',
+    'vbscript:msgbox(1)',
+    'file:///etc/passwd'
+];
+
+const HOSTILE_COLORS = [
+    'red;background:url(javascript:window.__pwned=true)',
+    '#fff" onmouseover="window.__pwned=true',
+    'expression(window.__pwned=true)',
+    '</style><script>window.__pwned=true</script>',
+    '#00f0ff; position: fixed',
+    '#12345g'
+];
+
+// ================================
+// TEST RUNNER
+// ================================
+
+const tests = [];
+
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+// Lists everything in a piece of markup that could run script (empty when it's safe)
+function findUnsafe(html) {
+    const template = document.createElement('template');
+    template.innerHTML = String(html);
+    const problems = [];
+    const blockedTags = ['script', 'iframe', 'object', 'embed', 'svg', 'math', 'style', 'link', 'meta', 'base', 'form', 'template'];
+    const urlAttributes = ['href', 'src', 'action', 'formaction', 'xlink:href'];
+
+    template.content.querySelectorAll('*').forEach(element => {
+        const tag = element.tagName.toLowerCase();
+        if (blockedTags.includes(tag)) {
+            problems.push(`<${tag}> element`);
+        }
+        Array.from(element.attributes).forEach(({ name, value }) => {
+            if (name.startsWith('on')) {
+                problems.push(`${name} handler on <${tag}>`);
+            }
+            // Links may only go to the web, mail or another page of the app; images only to inline image data
+            if (urlAttributes.includes(name) &&
+                !/^(https?:\/\/|mailto:|#|data:image\/(png|jpeg|gif|webp);base64,)/i.test(value.trim())) {
+                problems.push(`${name}="${value}" on <${tag}>`);
+            }
+            // Styles may only set colors, e.g. background-color: #00f0ff
+            if (name === 'style' && !/^(\s*[a-z-]+:\s*#[0-9a-f]{6};?)+\s*$/i.test(value)) {
+                problems.push(`style="${value}" on <${tag}>`);
+            }
+        });
+    });
+    return problems;
+}
+
+function assertSafe(html, context) {
+    const problems = findUnsafe(html);
+    assert(problems.length === 0, `${context}\n  ${problems.join('\n  ')}`);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function run() {
+    const summary = document.getElementById('summary');
+    const list = document.getElementById('results');
+    let failed = 0;
+
+    for (const { name, fn } of tests) {
+        const item = document.createElement('li');
+        try {
+            await fn();
+            item.className = 'pass';
+            item.textContent = `✓ ${name}`;
+        } catch (error) {
+            failed++;
+            item.className = 'fail';
+            item.textContent = `✗ ${name}`;
+            const details = document.createElement('pre');
+            details.textContent = error.message;
+            item.appendChild(details);
+            console.error(`✗ ${name}\n${error.message}`);
+        }
+        list.appendChild(item);
+    }
+
+    const result = failed === 0
+        ? `PASS - ${tests.length} of ${tests.length} tests passed`
+        : `FAIL - ${failed} of ${tests.length} tests failed`;
+    summary.textContent = result;
+    summary.className = failed === 0 ? 'pass' : 'fail';
+    document.title = result;
+    console.log(result);
+}
+
+// ================================
+// HELPERS UNDER TEST
+// ================================
+
+test('escapeHTML escapes every character that can open a tag or end an attribute', () => {
+    assert(escapeHTML('<a href="x" title=\'y\'>&</a>') === '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;',
+        'escapeHTML output changed');
+    assert(escapeHTML(null) === '' && escapeHTML(undefined) === '', 'null and undefined should render nothing');
+    HOSTILE_TEXT.forEach(payload => {
+        const escaped = escapeHTML(payload);
+        assert(!/[<>"']/.test(escaped), `unescaped characters left in ${escaped}`);
+        assertSafe(`<div title="${escaped}">${escaped}</div>`, payload);
+    });
+});
+
+test('safeHTML escapes interpolated values in text and in attributes', () => {
+    HOSTILE_TEXT.forEach(payload => {
+        const html = safeHTML`<div class="card" title="${payload}" data-id='${payload}'><h3>${payload}</h3>${[payload, payload]}</div>`;
+        assertSafe(html, payload);
+
+        const template = document.createElement('template');
+        template.innerHTML = String(html);
+        const div = template.content.firstElementChild;
+        assert(div.getAttribute('title') === payload && div.dataset.id === payload, `attribute value changed for ${payload}`);
+        assert(div.querySelector('h3').textContent === payload, `text changed for ${payload}`);
+    });
+});
+
+test('safeHTML only passes TrustedHTML through unescaped', () => {
+    const nested = safeHTML`<em>${'<b>'}</em>`;
+    assert(String(safeHTML`<p>${nested}</p>`) === '<p><em>&lt;b&gt;</em></p>', 'nested safeHTML was escaped twice or not at all');
+    assert(String(safeHTML`<p>${{ toString: () => '<script>' }}</p>`) === '<p>&lt;script&gt;</p>', 'objects must be escaped');
+    assert(String(safeHTML`<p>${null}${undefined}${false}</p>`) === '<p></p>', 'empty values should render nothing');
+});
+
+test('safeUrl only lets http and https through', () => {
+    HOSTILE_URLS.forEach(url => {
+        assert(safeUrl(url) === null, `allowed ${url}`);
+        assert(safeUrl(url, ['http:', 'https:', 'mailto:']) === null, `allowed ${url} with mailto`);
+    });
+    assert(safeUrl('https://example.com/a b') === 'https://example.com/a%20b', 'https URL should be kept and normalized');
+    assert(safeUrl('http://example.com') === 'http://example.com/', 'http URL should be kept');
+    assert(safeUrl('mailto:team@example.com') === null, 'mailto only when asked for');
+    assert(safeUrl('mailto:team@example.com', ['mailto:']) === 'mailto:team@example.com', 'mailto when asked for');
+    assert(safeUrl('https://ok.test/"onmouseover="x').includes('%22'), 'quotes in a URL should be percent-encoded');
+});
+
+test('safeColor only accepts six-digit hex colors', () => {
+    HOSTILE_COLORS.forEach(color => assert(safeColor(color) === null, `accepted ${color}`));
+    [null, undefined, 42, ['#00f0ff']].forEach(value => assert(safeColor(value) === null, `accepted ${value}`));
+    assert(safeColor(' #00F0FF ') === '#00f0ff', 'valid colors come back trimmed and lowercase');
+});
+
+test('HTMLSanitizer strips script, handlers and unsafe links', () => {
+    HOSTILE_TEXT.forEach(payload => {
+        assertSafe(HTMLSanitizer.sanitize(payload), payload);
+        assertSafe(HTMLSanitizer.sanitize(`<p><strong>${payload}</strong></p>`), payload);
+    });
+    HOSTILE_URLS.forEach(url => {
+        const html = HTMLSanitizer.sanitize(`<a href="${escapeHTML(url)}" onclick="window.__pwned = true">link</a>`);
+        assertSafe(html, url);
+        assert(html.includes('>link</a>'), `link text should be kept for ${url}`);
+    });
+});
+
+test('HTMLSanitizer keeps allowed markup and hardens safe links', () => {
+    const html = HTMLSanitizer.sanitize('<p class="x"><strong>bold</strong> <a href="https://example.com" target="_self">site</a></p>');
+    assert(html === '<p><strong>bold</strong> <a href="https://example.com/" target="_blank" rel="noopener noreferrer">site</a></p>',
+        `unexpected output ${html}`);
+    const checkbox = HTMLSanitizer.sanitize('<input type="checkbox" checked><input type="text" value="x">');
+    assert(checkbox === '<input type="checkbox" checked="" disabled="">', `unexpected output ${checkbox}`);
+});
+
+test('MarkdownRenderer shows hostile HTML as text', () => {
+    HOSTILE_TEXT.forEach(payload => {
+        const html = MarkdownRenderer.render(payload);
+        assertSafe(html, payload);
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        assert(template.content.textContent.includes('window.__pwned'), `payload text was dropped: ${payload}`);
+    });
+});
+
+test('MarkdownRenderer never turns hostile Markdown into a link or attribute', () => {
+    HOSTILE_MARKDOWN.forEach(markdown => assertSafe(MarkdownRenderer.render(markdown), markdown));
+    const link = MarkdownRenderer.render('[site](https://example.com/a_b)');
+    assert(link === '<p><a href="https://example.com/a_b" target="_blank" rel="noopener noreferrer">site</a></p>',
+        `safe links should still work, got ${link}`);
+});
+
+// ================================
+// RENDERED BRIEFS
+// ================================
+
+// The card renderer without the rest of the app - no storage, no event wiring
+function createRenderer(fields) {
+    return Object.assign(Object.create(BriefVaultApp.prototype), {
+        selecting: false,
+        selectedIds: new Set(),
+        activeQuery: new SearchQuery(''),
+        schema: { getFields: () => fields },
+        api: {
+            getSyncState: () => null,
+            workflow: new StatusWorkflow('briefVault_securityTest_workflow')
+        },
+        loadAttachmentTiles: () => {}
+    });
+}
+
+const HOSTILE_FIELDS = [
+    { key: 'client', label: '<img src=x onerror="window.__pwned = true">', type: 'text', options: [], required: false },
+    { key: 'site', label: 'Site', type: 'url', options: [], required: false },
+    { key: 'tier', label: '"><script>window.__pwned = true</script>', type: 'select', options: ['<b>gold</b>'], required: false },
+    { key: 'due', label: 'Due', type: 'date', options: [], required: false }
+];
+
+function hostileBrief(payload, url, color) {
+    return new Brief({
+        id: `"><img src=x onerror="window.__pwned = true">`,
+        title: payload,
+        description: `${payload}\n\n[link](${url})`,
+        status: payload,
+        colors: ['#00f0ff', color],
+        colorRoles: [payload, payload],
+        tags: [payload, `#${payload}`],
+        references: [
+            { url, title: payload, note: payload, category: payload },
+            url,
+            { url: 'https://example.com', title: payload, note: `" onmouseover="window.__pwned = true` }
+        ],
+        thumbnail: 'data:image/svg+xml,<svg onload="window.__pwned = true"></svg>',
+        attachments: [{ id: payload, name: `${payload}.png`, type: `image/png" onerror="window.__pwned = true`, size: 10 }],
+        customFields: { client: payload, site: url, tier: payload, due: payload }
+    });
+}
+
+test('cards render hostile titles, descriptions, tags, references, colors and custom fields safely', () => {
+    const app = createRenderer(HOSTILE_FIELDS);
+    HOSTILE_TEXT.forEach((payload, index) => {
+        const brief = hostileBrief(payload, HOSTILE_URLS[index % HOSTILE_URLS.length], HOSTILE_COLORS[index % HOSTILE_COLORS.length]);
+        const card = app.createBriefCard(brief);
+        assertSafe(card.outerHTML, payload);
+        assert(card.querySelector('.card-title').textContent === payload, `title not shown as text: ${payload}`);
+        assert(card.querySelectorAll('.color-swatch.invalid-color').length === 1, `bad color got a swatch: ${brief.colors[1]}`);
+        assert(!card.querySelector('.card-thumbnail'), 'non-image thumbnail was rendered');
+    });
+});
+
+test('references only become links for http and https', () => {
+    const app = createRenderer([]);
+    HOSTILE_URLS.forEach(url => {
+        const html = app.renderReferenceLink(Brief.normalizeReference({ url, title: 'Ref', note: url }));
+        assertSafe(html, url);
+        assert(String(html).includes('blocked-link'), `${url} should render as blocked text`);
+    });
+    const link = app.renderReferenceLink(Brief.normalizeReference({ url: 'https://example.com', title: '<b>Ref</b>' }));
+    assert(String(link).includes('href="https://example.com/"') && String(link).includes('&lt;b&gt;Ref'),
+        `safe reference rendered wrong: ${link}`);
+});
+
+test('hostile custom field values and link fields are shown as text', () => {
+    const app = createRenderer(HOSTILE_FIELDS);
+    HOSTILE_URLS.forEach(url => {
+        const html = app.renderCustomFieldList(new Brief({ title: 'x', status: 'idea', customFields: { client: url, site: url } }), 'card-fields');
+        assertSafe(html, url);
+        assert(!String(html).includes('<a '), `${url} became a link`);
+    });
+});
+
+test('nothing runs when rendered cards are put on the page', async () => {
+    const app = createRenderer(HOSTILE_FIELDS);
+    const fixture = document.getElementById('fixture');
+    HOSTILE_TEXT.forEach((payload, index) => {
+        fixture.appendChild(app.createBriefCard(hostileBrief(payload, HOSTILE_URLS[index % HOSTILE_URLS.length], HOSTILE_COLORS[0])));
+    });
+    HOSTILE_MARKDOWN.forEach(markdown => {
+        fixture.insertAdjacentHTML('beforeend', MarkdownRenderer.render(markdown));
+    });
+    // Give image errors and other async handlers a chance to fire
+    await sleep(200);
+    fixture.innerHTML = '';
+    assert(window.__pwned === false, 'a payload ran');
+});
+
+run();